@@ -0,0 +1,53 @@
+// Puts the MediaPipe assets the app loads at runtime into public/mediapipe so they are served
+// by Vite instead of third-party CDNs. The WASM files come from the installed (pinned)
+// @mediapipe/tasks-vision package so they always match its JavaScript, plus an ES module copy
+// of each classic loader script for the module worker; the hand landmarker model is downloaded
+// once from a pinned URL. Runs before `npm run dev` and `npm run build`.
+
+import { copyFile, mkdir, readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const HAND_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const wasmSource = join(root, 'node_modules', '@mediapipe', 'tasks-vision', 'wasm');
+const target = join(root, 'public', 'mediapipe');
+const modelTarget = join(target, 'hand_landmarker.task');
+
+const exists = (path) => stat(path).then(() => true, () => false);
+
+async function copyWasm() {
+  await mkdir(join(target, 'wasm'), { recursive: true });
+  const files = await readdir(wasmSource);
+  await Promise.all(files.map(file => copyFile(join(wasmSource, file), join(target, 'wasm', file))));
+  console.log(`Copied ${files.length} MediaPipe WASM files to public/mediapipe/wasm`);
+}
+
+// The loaders only define a global ModuleFactory; the .mjs copies export it so the worker can
+// import() them instead of evaluating the source, which a CSP without unsafe-eval blocks
+async function writeLoaderModules() {
+  const loaders = (await readdir(wasmSource)).filter(file => file.endsWith('.js'));
+  await Promise.all(loaders.map(async (file) => {
+    const source = await readFile(join(wasmSource, file), 'utf8');
+    await writeFile(join(target, 'wasm', file.replace(/\.js$/, '.mjs')), `${source}\nexport default ModuleFactory;\n`);
+  }));
+}
+
+async function downloadModel() {
+  if (await exists(modelTarget)) return;
+  const response = await fetch(HAND_MODEL_URL);
+  if (!response.ok) throw new Error(`${HAND_MODEL_URL} returned ${response.status}`);
+  await writeFile(modelTarget, Buffer.from(await response.arrayBuffer()));
+  console.log('Downloaded the hand landmarker model to public/mediapipe');
+}
+
+await copyWasm();
+await writeLoaderModules();
+try {
+  await downloadModel();
+} catch (error) {
+  // Offline builds still succeed; the app reports the missing model at startup
+  console.warn(`Could not download the hand landmarker model: ${error.message}`);
+  console.warn(`Place it at public/mediapipe/hand_landmarker.task (from ${HAND_MODEL_URL})`);
+}
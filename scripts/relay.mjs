@@ -0,0 +1,115 @@
+// WebSocket relay for collaborative building (`npm run relay`). It keeps the shared model and
+// puts the voxel edits of all connected users into one order: every batch of operations is
+// resolved against the model in arrival order and broadcast to everyone, sender included, as the
+// resulting cell states. Clients apply that stream as-is, so they all converge on the relay's model.
+// Hand cursors are forwarded without being stored.
+//
+// Messages in:  { type: 'hello', name }
+//               { type: 'ops', ops: [{ op: 'add' | 'recolor', x, y, z, color } | { op: 'remove', x, y, z }] }
+//               { type: 'cursor', cursors: [{ x, y, z }] }   (positions in cells)
+// Messages out: { type: 'welcome', id, name, color, seq, voxels: [{ x, y, z, color }], peers }
+//               { type: 'ops', seq, from, ops: [{ x, y, z, color }] }   (color null: empty cell)
+//               { type: 'cursor', id, cursors }
+//               { type: 'peer-joined', peer } | { type: 'peer-left', id }
+
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.PORT) || 8787;
+const PEER_COLORS = [0xff5555, 0x55ff55, 0x5599ff, 0xffcc00, 0xff66ff, 0x00e5ff, 0xff9933, 0xaa88ff];
+
+const cells = new Map(); // "x,y,z" -> color
+const peers = new Map(); // socket -> { id, name, color }
+let seq = 0;
+let nextPeerId = 1;
+
+const isCell = (op) => Number.isInteger(op.x) && Number.isInteger(op.y) && Number.isInteger(op.z);
+const isColor = (color) => Number.isInteger(color) && color >= 0 && color <= 0xffffff;
+
+// Conflicts resolve by arrival order: the last operation on a cell wins. A recolor only applies to
+// a filled cell, so one that arrives after the cell was removed resolves to the empty state.
+// An unknown or malformed operation on a valid cell leaves it alone but still resolves to its
+// state: the sender waits for an echo of every edit it sent before taking remote edits of that cell.
+function resolve(op) {
+  if (!op || !isCell(op)) return null;
+  const key = `${op.x},${op.y},${op.z}`;
+  if (op.op === 'add' && isColor(op.color)) {
+    cells.set(key, op.color);
+  } else if (op.op === 'recolor' && isColor(op.color)) {
+    if (cells.has(key)) cells.set(key, op.color);
+  } else if (op.op === 'remove') {
+    cells.delete(key);
+  }
+  return { x: op.x, y: op.y, z: op.z, color: cells.has(key) ? cells.get(key) : null };
+}
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function broadcast(message, except = null) {
+  const data = JSON.stringify(message);
+  peers.forEach((peer, socket) => {
+    if (socket !== except && socket.readyState === socket.OPEN) socket.send(data);
+  });
+}
+
+function pickColor() {
+  const used = new Set([...peers.values()].map(peer => peer.color));
+  return PEER_COLORS.find(color => !used.has(color)) ?? PEER_COLORS[nextPeerId % PEER_COLORS.length];
+}
+
+function onMessage(socket, message) {
+  const peer = peers.get(socket);
+  if (message.type === 'hello' && !peer) {
+    const joined = { id: nextPeerId++, name: String(message.name || 'Guest').slice(0, 40), color: pickColor() };
+    send(socket, {
+      type: 'welcome',
+      id: joined.id,
+      name: joined.name,
+      color: joined.color,
+      seq,
+      voxels: [...cells].map(([key, color]) => {
+        const [x, y, z] = key.split(',').map(Number);
+        return { x, y, z, color };
+      }),
+      peers: [...peers.values()]
+    });
+    peers.set(socket, joined);
+    broadcast({ type: 'peer-joined', peer: joined }, socket);
+    console.log(`${joined.name} (#${joined.id}) joined, ${peers.size} connected`);
+  } else if (!peer) {
+    // Nothing but hello before the welcome
+  } else if (message.type === 'ops' && Array.isArray(message.ops)) {
+    const ops = message.ops.map(resolve).filter(Boolean);
+    if (ops.length > 0) broadcast({ type: 'ops', seq: ++seq, from: peer.id, ops });
+  } else if (message.type === 'cursor' && Array.isArray(message.cursors)) {
+    const cursors = message.cursors
+      .slice(0, 4)
+      .filter(c => c && Number.isFinite(c.x) && Number.isFinite(c.y) && Number.isFinite(c.z))
+      .map(({ x, y, z }) => ({ x, y, z }));
+    broadcast({ type: 'cursor', id: peer.id, cursors }, socket);
+  }
+}
+
+const server = new WebSocketServer({ port: PORT });
+
+server.on('connection', (socket) => {
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return; // Ignore anything that is not JSON
+    }
+    if (message && typeof message === 'object') onMessage(socket, message);
+  });
+  socket.on('close', () => {
+    const peer = peers.get(socket);
+    if (!peer) return;
+    peers.delete(socket);
+    broadcast({ type: 'peer-left', id: peer.id });
+    console.log(`${peer.name} (#${peer.id}) left, ${peers.size} connected`);
+  });
+});
+
+server.on('listening', () => console.log(`Voxel relay listening on ws://localhost:${PORT}`));
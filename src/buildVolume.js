@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+
+// Bounded build volume centered at the origin, with a grid floor and a bounding-box outline.
+// Sizes are in cells; a size of N spans cells -floor(N / 2) .. ceil(N / 2) - 1 on that axis.
+
+export function createBuildVolume(scene, { size, voxelSize = 1 }) {
+  const min = {};
+  const max = {};
+  ['x', 'y', 'z'].forEach((axis) => {
+    if (!Number.isInteger(size[axis]) || size[axis] < 1) {
+      throw new Error(`Build volume size must be a positive integer on ${axis}, got ${size[axis]}`);
+    }
+    min[axis] = -Math.floor(size[axis] / 2);
+    max[axis] = min[axis] + size[axis] - 1;
+  });
+
+  // World-space extents of the outer faces
+  const lower = new THREE.Vector3(min.x - 0.5, min.y - 0.5, min.z - 0.5).multiplyScalar(voxelSize);
+  const upper = new THREE.Vector3(max.x + 0.5, max.y + 0.5, max.z + 0.5).multiplyScalar(voxelSize);
+
+  // Grid floor, one line per cell border
+  const gridPositions = [];
+  for (let x = 0; x <= size.x; x++) {
+    const wx = lower.x + x * voxelSize;
+    gridPositions.push(wx, lower.y, lower.z, wx, lower.y, upper.z);
+  }
+  for (let z = 0; z <= size.z; z++) {
+    const wz = lower.z + z * voxelSize;
+    gridPositions.push(lower.x, lower.y, wz, upper.x, lower.y, wz);
+  }
+  const gridGeometry = new THREE.BufferGeometry();
+  gridGeometry.setAttribute('position', new THREE.Float32BufferAttribute(gridPositions, 3));
+  const grid = new THREE.LineSegments(
+    gridGeometry,
+    new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.25 })
+  );
+  scene.add(grid);
+
+  const box = new THREE.Box3Helper(new THREE.Box3(lower, upper), 0x00ffff);
+  box.material.transparent = true;
+  box.material.opacity = 0.4;
+  scene.add(box);
+
+  // Invisible plane the right hand can raycast against to place onto the floor
+  const floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -lower.y);
+  const floorHit = new THREE.Vector3();
+
+  const contains = (cell) => (
+    cell.x >= min.x && cell.x <= max.x &&
+    cell.y >= min.y && cell.y <= max.y &&
+    cell.z >= min.z && cell.z <= max.z
+  );
+
+  // Nearest cell inside the volume
+  const clamp = (cell) => ({
+    x: Math.min(max.x, Math.max(min.x, cell.x)),
+    y: Math.min(max.y, Math.max(min.y, cell.y)),
+    z: Math.min(max.z, Math.max(min.z, cell.z))
+  });
+
+  // Returns the bottom-layer cell under the ray, or null when the ray misses the floor area
+  const raycastFloor = (raycaster) => {
+    if (!raycaster.ray.intersectPlane(floorPlane, floorHit)) return null;
+    const cell = {
+      x: Math.round(floorHit.x / voxelSize),
+      y: min.y,
+      z: Math.round(floorHit.z / voxelSize)
+    };
+    return contains(cell) ? cell : null;
+  };
+
+  const dispose = () => {
+    [grid, box].forEach((object) => {
+      scene.remove(object);
+      object.geometry.dispose();
+      object.material.dispose();
+    });
+  };
+
+  return {
+    min,
+    max,
+    contains,
+    clamp,
+    raycastFloor,
+    dispose,
+    get gridVisible() {
+      return grid.visible;
+    },
+    set gridVisible(visible) {
+      grid.visible = visible;
+    },
+    get boundsVisible() {
+      return box.visible;
+    },
+    set boundsVisible(visible) {
+      box.visible = visible;
+    }
+  };
+}
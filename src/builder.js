@@ -0,0 +1,2510 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
+import { createHistory } from './history.js';
+import { createVoxelGrid, cellKey } from './voxelGrid.js';
+import { createVoxelRenderer } from './voxelRenderer.js';
+import { serializeScene, parseScene, colorToHex } from './sceneFile.js';
+import { exportVox, exportGlb, exportObj } from './exporters.js';
+import { parseVox, loadImageData, imageToPixelVoxels, imageToHeightmapVoxels, ImportError } from './importers.js';
+import { createPalette } from './palette.js';
+import { createBuildVolume } from './buildVolume.js';
+import { createPoseTracker } from './gestures.js';
+import { createLandmarkSmoother, createResultInterpolator } from './landmarkFilter.js';
+import { startHandDetector } from './handDetector.js';
+import { openCamera } from './camera.js';
+import { createPerfHud } from './perfHud.js';
+import { createPointerInput } from './pointerInput.js';
+import { createHandRoles } from './handRoles.js';
+import { shapeCells, HOLLOW_TOOLS } from './shapes.js';
+import { createRegionPreview } from './regionPreview.js';
+import { mirrorCells, createSymmetryGuide, snapCenter, SYMMETRY_AXES } from './symmetry.js';
+import {
+  boundsOf,
+  translateCells,
+  normalizeCells,
+  rotateCellsY,
+  flipCells,
+  createSelectionOutline
+} from './selection.js';
+import { createSettings, isModelSetting, SETTINGS_SCHEMA, SETTINGS_PRESETS, SETTINGS_FORMAT } from './settings.js';
+import {
+  DEFAULT_DEPTH_MAPPING,
+  handScaleOf,
+  createCalibrationWizard,
+  loadDepthMapping,
+  saveDepthMapping
+} from './depthCalibration.js';
+import { createSessionRecorder, createSessionPlayer, parseSession, SESSION_FORMAT } from './session.js';
+import { createCollaboration } from './collaboration.js';
+import { captureScreenshot, createTurntable, createVideoRecorder } from './capture.js';
+
+// --- Configuration ---
+const STORAGE_PREFIX = 'voxel-hand-tracking'; // localStorage keys are '<prefix>:<name>'
+const HISTORY_LIMIT = 100; // Max number of undoable strokes
+const UNDO_GESTURE_COOLDOWN = 600; // Holding the undo pose repeats at this interval
+const COLOR_GESTURE_COOLDOWN = 800; // Holding the open palm cycles colors at this interval
+const PALETTE_KEY = 'palette';
+// MediaPipe assets are self-hosted from public/mediapipe (npm run assets); the env vars point
+// them somewhere else serving the same files, .mjs loaders included, for the same tasks-vision version
+const MEDIAPIPE_WASM_PATH = import.meta.env.VITE_MEDIAPIPE_WASM_PATH || `${import.meta.env.BASE_URL}mediapipe/wasm`;
+const HAND_MODEL_PATH = import.meta.env.VITE_HAND_MODEL_PATH || `${import.meta.env.BASE_URL}mediapipe/hand_landmarker.task`;
+const SETTINGS_KEY = 'settings';
+// Relay started with `npm run relay`; ?relay=ws://host:port and ?name=... override per page
+const COLLAB_URL = new URLSearchParams(location.search).get('relay')
+  || import.meta.env.VITE_COLLAB_URL
+  || `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.hostname || 'localhost'}:8787`;
+const COLLAB_NAME = new URLSearchParams(location.search).get('name') || 'Guest';
+const HAND_ROLES_KEY = 'hand-roles';
+const DEPTH_CALIBRATION_KEY = 'depth-calibration';
+const LANDMARK_SMOOTHING = {
+  minCutoff: 1.5, // Hz; lower = steadier when the hand is still
+  beta: 10.0, // How quickly the cutoff opens up with speed; higher = less lag on fast moves
+  dCutoff: 1.0,
+  maxDropoutFrames: 2 // Detections a lost hand is held before it counts as gone
+};
+const AUTOSAVE_KEY = 'scene';
+const AUTOSAVE_DELAY = 500; // Debounce for writing the scene to localStorage
+const STATUS_MESSAGE_DURATION = 4000; // How long one-off messages override the gesture status
+const IMPORT_BATCH_SIZE = 2000; // Voxels placed per frame while importing
+const HEIGHTMAP_MAX_HEIGHT = 16;
+const STARTUP_ERROR_DURATION = 10000; // Startup errors stay up this long once mouse input takes over
+const SNAPSHOT_BACKUP_FILE = 'voxel-scene-backup.json'; // Local model saved before a room's model replaces it
+const SNAPSHOT_NOTICE_DURATION = 10000;
+const MOUSE_AXIS_MIN_PIXELS = 12; // Extrusion axes shorter than this per voxel on screen extrude by dragging up
+const SCREENSHOT_SCALE = 2; // Screenshots render at this multiple of the on-screen resolution
+const VOLUME_SETTINGS = ['volumeWidth', 'volumeHeight', 'volumeDepth'];
+const TOOL_KEYS = ['voxel', 'line', 'wall', 'box', 'sphere', 'cylinder', 'pyramid', 'select', 'stamp']; // Keys 1-9
+const SELECTION_MOVE_KEYS = { // Key -> [dx, dy, dz] in cells
+  arrowleft: [-1, 0, 0],
+  arrowright: [1, 0, 0],
+  arrowup: [0, 0, -1],
+  arrowdown: [0, 0, 1],
+  pageup: [0, 1, 0],
+  pagedown: [0, -1, 0]
+};
+
+const HAND_CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
+  [0, 5], [5, 6], [6, 7], [7, 8], // Index
+  [0, 9], [9, 10], [10, 11], [11, 12], // Middle
+  [0, 13], [13, 14], [14, 15], [15, 16], // Ring
+  [0, 17], [17, 18], [18, 19], [19, 20], // Pinky
+  [5, 9], [9, 13], [13, 17] // Palm
+];
+
+// --- Builder ---
+
+// One builder inside root, which holds BUILDER_TEMPLATE's markup. All state lives in this closure,
+// so builders are independent of each other; emit(type, detail) reports what happens in them.
+export function createBuilder(root, {
+  emit = () => {},
+  tracking = true,
+  keyboard = true,
+  storagePrefix = STORAGE_PREFIX,
+  relayUrl = COLLAB_URL,
+  userName = COLLAB_NAME
+}) {
+  // --- State ---
+  let scene, camera, renderer, clock, controls;
+  let voxelRenderer, buildVolume, regionPreview, symmetryGuide;
+  let selectionOutline, stampPreview;
+  let renderedVoxelSize; // Voxel size the renderer and build volume were created with
+  let animationFrame = null;
+  let resizeObserver;
+  let isDisposed = false;
+  let activeGesture = null; // Navigation gesture reported by the last gestureStart
+  const trackedHands = new Set(); // Hand labels reported by handsDetected
+  let handDetector; // HandLandmarker running in a worker
+  let audioListener, blockSound, removeSound, paintSound;
+  let webcam;
+  let lastVideoTime = -1;
+  let isFrameGrabFailing = false; // Warn once per run of failed webcam grabs, not every frame
+  const voxelGrid = createVoxelGrid(); // Source of truth for the model
+  let previewVoxel;
+  let selectionHighlight;
+  const raycaster = new THREE.Raycaster();
+  let isPinching = false;
+  let strokeMode = null; // 'build' | 'erase' | 'paint' for the active pinch stroke
+  let isPaintMode = false; // Right hand pinch recolors instead of building
+  let activeTool = 'voxel'; // 'voxel', 'select', 'stamp' or one of the region tools in shapes.js
+  let isHollow = false; // Parametric region tools generate only their shell
+  let regionTool = null; // Tool of the region stroke in progress ('move' when dragging the selection)
+  let regionAnchor = null; // Start cell of the region stroke in progress
+  let regionCorners = null; // Current corner cells of that region
+  let regionTwoHanded = false; // Corners came from both hands pinching; keep them when one lets go
+  let regionCells = null;
+  let regionPreviewKey = '';
+  let lastTargetedCell = null; // Most recently hovered voxel, for centering the symmetry planes
+  let lastPlacementCell = null; // Most recent cell a pinch would build on, where Ctrl+V stamps
+  const selectedCellsByKey = new Map(); // Selected voxel positions; colors are read from the grid
+  let isSelectionDirty = false;
+  let clipboard = null; // Copied voxels, normalized to their minimum corner
+  let stampPreviewKey = '';
+  let isSwatchPinch = false; // Active pinch was used to pick a palette color
+  let hoveredSwatchIndex = null;
+  let lastColorGestureTime = 0;
+  let handScreenTips = []; // Index tip of each hand in screen pixels
+  let lastBuildTime = 0;
+  let lastPlacedPos = new THREE.Vector3();
+  let lastPinchWorldPos = new THREE.Vector3();
+  let results = undefined;
+  let handMarkers = []; // 3D spheres for landmarks
+  let handLines = []; // lines for connections
+  let handCursors = []; // 3D cursors for each hand
+  let isLeftGestureActive = false;
+  let lastLeftHandPos = new THREE.Vector2();
+  let currentBuildNormal = null;
+  let initialBuildPos = new THREE.Vector3();
+  let lastLeftPinchDistance = 0; // State for zoom gesture
+  let lastUndoGestureTime = 0;
+  let autosaveTimer = null;
+  let statusMessageUntil = 0;
+  let isImporting = false;
+  let pendingImportMode = null;
+  const history = createHistory(HISTORY_LIMIT);
+  const symmetry = { axes: { x: false, y: false, z: false }, center: { x: 0, y: 0, z: 0 } }; // Mirror planes, center in cells
+  const storageKey = (name) => `${storagePrefix}:${name}`;
+  const settings = createSettings({ storageKey: storageKey(SETTINGS_KEY) });
+  const tuning = settings.values; // Live thresholds, sensitivities and voxel size
+  const palette = createPalette({ storageKey: storageKey(PALETTE_KEY) });
+  const sessionRecorder = createSessionRecorder();
+  const handRoles = createHandRoles({ storageKey: storageKey(HAND_ROLES_KEY) }); // Build/navigate hand mapping
+  const poseTrackers = { Left: createPoseTracker(), Right: createPoseTracker() }; // Per-hand pose hysteresis
+  const landmarkSmoother = createLandmarkSmoother(LANDMARK_SMOOTHING);
+  const resultInterpolator = createResultInterpolator(); // Fills render frames between detections
+  let depthMapping = loadDepthMapping(storageKey(DEPTH_CALIBRATION_KEY)); // Hand scale -> scene distance
+  let calibrationWizard = null; // Set while the depth calibration wizard runs
+  let sessionPlayer = null; // Replaces the webcam as hand input while a session is loaded
+  let inputMode = 'hands'; // 'hands' or 'mouse'
+  let isMouseFallback = false; // Mouse mode was switched on because tracking could not start
+  let playbackReturnMode = null; // { mode, isMouseFallback } to go back to once session playback ends
+  let pointerInput;
+  const mouseDragPos = new THREE.Vector3(); // Mouse stand-in for the pinch position
+  const lastMouseNdc = new THREE.Vector2();
+  let mouseDragDepth = 0;
+  let turntable; // Orbits the camera through controls for showing off a build
+  let videoRecorder = null; // Set while the view is recorded to WebM
+  let captureWithCamera = true; // Screenshots and videos include the webcam and hand overlay
+  const collaboration = createCollaboration(voxelGrid); // Shares edits and cursors through the relay
+  const remoteCursors = new Map(); // Peer id -> cursor meshes for that user's hands
+  let isModelBackedUp = false; // The local model was downloaded before a room's model replaced it
+
+  // --- Elements ---
+  const videoElement = root.querySelector('.webcam');
+  const threeContainer = root.querySelector('.three-container');
+  const canvas2d = root.querySelector('.gesture-canvas');
+  const ctx2d = canvas2d.getContext('2d');
+  const statusElement = root.querySelector('.status');
+  const startupActions = root.querySelector('.startup-actions');
+  const retryButton = root.querySelector('.retry-button');
+  const hudElement = root.querySelector('.hud');
+  const hudButton = root.querySelector('.hud-button');
+  const perfHud = createPerfHud(hudElement);
+  const saveButton = root.querySelector('.save-button');
+  const exportVoxButton = root.querySelector('.export-vox-button');
+  const exportGlbButton = root.querySelector('.export-glb-button');
+  const exportObjButton = root.querySelector('.export-obj-button');
+  const importVoxButton = root.querySelector('.import-vox-button');
+  const importImageButton = root.querySelector('.import-image-button');
+  const importHeightmapButton = root.querySelector('.import-heightmap-button');
+  const importInput = root.querySelector('.import-input');
+  const paletteElement = root.querySelector('.palette');
+  const customColorInput = root.querySelector('.custom-color-input');
+  const currentColorSwatch = root.querySelector('.current-color-swatch');
+  const currentModeLabel = root.querySelector('.current-mode');
+  const paintButton = root.querySelector('.paint-button');
+  const toolButtons = root.querySelectorAll('.tool-actions [data-tool]');
+  const hollowButton = root.querySelector('.hollow-button');
+  const mirrorButtons = root.querySelectorAll('.symmetry-actions [data-axis]');
+  const selectionButtons = root.querySelectorAll('.selection-actions [data-command]');
+  const mirrorCenterButton = root.querySelector('.mirror-center-button');
+  const mirrorResetButton = root.querySelector('.mirror-reset-button');
+  const swapHandsButton = root.querySelector('.swap-hands-button');
+  const oneHandedButton = root.querySelector('.one-handed-button');
+  const mouseModeButton = root.querySelector('.mouse-mode-button');
+  const collabButton = root.querySelector('.collab-button');
+  const screenshotButton = root.querySelector('.screenshot-button');
+  const captureCameraButton = root.querySelector('.capture-camera-button');
+  const turntableButton = root.querySelector('.turntable-button');
+  const recordVideoButton = root.querySelector('.record-video-button');
+  const recordTurntableButton = root.querySelector('.record-turntable-button');
+  const recordButton = root.querySelector('.record-button');
+  const playbackControls = root.querySelector('.playback-controls');
+  const playButton = root.querySelector('.play-button');
+  const scrubInput = root.querySelector('.scrub-input');
+  const playbackTimeLabel = root.querySelector('.playback-time');
+  const liveButton = root.querySelector('.live-button');
+  const gridButton = root.querySelector('.grid-button');
+  const boundsButton = root.querySelector('.bounds-button');
+  const calibrateButton = root.querySelector('.calibrate-button');
+  const resetCalibrationButton = root.querySelector('.reset-calibration-button');
+  const calibrationPanel = root.querySelector('.calibration');
+  const calibrationStep = root.querySelector('.calibration-step');
+  const calibrationPrompt = root.querySelector('.calibration-prompt');
+  const calibrationProgress = root.querySelector('.calibration-progress');
+  const calibrationCancelButton = root.querySelector('.calibration-cancel');
+  const settingsButton = root.querySelector('.settings-button');
+  const settingsPanel = root.querySelector('.settings');
+  const settingsFields = root.querySelector('.settings-fields');
+  const settingsPresetSelect = root.querySelector('.settings-preset-select');
+  const settingsResetButton = root.querySelector('.settings-reset');
+  const settingsExportButton = root.querySelector('.settings-export');
+  const settingsImportButton = root.querySelector('.settings-import');
+  const settingsCloseButton = root.querySelector('.settings-close');
+  const settingsInput = root.querySelector('.settings-input');
+
+  // --- Initialization ---
+
+  async function init() {
+    setupThree();
+    setupPersistence();
+    setupExport();
+    setupImport();
+    setupPalette();
+    setupTools();
+    setupSymmetry();
+    setupSelection();
+    setupSessions();
+    setupCalibration();
+    setupSettings();
+    setupHandRoles();
+    setupMouseInput();
+    setupCollaboration();
+    setupCapture();
+    voxelGrid.subscribe(emitVoxelEvent);
+    retryButton.addEventListener('click', startTracking);
+    animate(); // The scene is usable while tracking starts, and if it fails
+    if (tracking) await startTracking();
+    else setInputMode('mouse');
+  }
+
+  // Brings up the detector, then the camera; each failure is explained in #status with a retry
+  async function startTracking() {
+    startupActions.hidden = true;
+    try {
+      if (!handDetector) await setupHandTracking();
+    } catch (error) {
+      if (!isDisposed) showStartupError(`Could not load the hand tracking model: ${error.message}`);
+      return;
+    }
+    try {
+      if (!videoElement.srcObject && !isDisposed) await setupWebcam();
+    } catch (error) {
+      if (!isDisposed) showStartupError(cameraErrorText(error));
+      return;
+    }
+    if (isDisposed) {
+      stopTracking(); // Disposed while starting up
+      return;
+    }
+    if (isMouseFallback) setInputMode('hands');
+    statusElement.innerText = `Hand Tracking Ready (${handDetector.delegate})`;
+    statusElement.style.background = "rgba(0, 255, 0, 0.2)";
+  }
+
+  // Releases the webcam and the detection worker
+  function stopTracking() {
+    if (handDetector) handDetector.dispose();
+    handDetector = null;
+    const stream = videoElement.srcObject;
+    if (stream) stream.getTracks().forEach(track => track.stop());
+    videoElement.srcObject = null;
+  }
+
+  function cameraErrorText(error) {
+    switch (error.reason) {
+      case 'denied':
+        return 'Camera permission denied. Allow camera access for this page, then retry.';
+      case 'not-found':
+        return 'No camera found. Connect a camera, then retry.';
+      case 'busy':
+        return 'The camera is in use by another application. Close it, then retry.';
+      default:
+        return `Camera unavailable: ${error.message}`;
+    }
+  }
+
+  // Without working tracking the mouse takes over, so the scene stays editable until a retry succeeds
+  function showStartupError(text) {
+    startupActions.hidden = false;
+    if (inputMode === 'hands') {
+      setInputMode('mouse');
+      isMouseFallback = true;
+    }
+    // Mouse mode rewrites the status every frame; keep the error up long enough to read
+    showStatusMessage(`${text} Using mouse and keyboard meanwhile.`, "rgba(255, 0, 0, 0.4)", STARTUP_ERROR_DURATION);
+  }
+
+  function setupThree() {
+    scene = new THREE.Scene();
+    // Transparent background to show video
+    // scene.background = new THREE.Color(0x0a0a0a); 
+
+    camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000); // Aspect is set by onResize
+    camera.position.set(0, 0, 10);
+    camera.lookAt(0, 0, 0);
+
+    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    renderer.setClearColor(0x000000, 0); // Transparent
+    renderer.setPixelRatio(window.devicePixelRatio);
+    threeContainer.appendChild(renderer.domElement);
+
+    controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.05;
+    controls.screenSpacePanning = false;
+    controls.minDistance = tuning.minDistance;
+    controls.maxDistance = tuning.maxDistance;
+    controls.maxPolarAngle = Math.PI / 2;
+
+    // Audio setup
+    audioListener = new THREE.AudioListener();
+    camera.add(audioListener);
+    blockSound = new THREE.Audio(audioListener);
+    removeSound = new THREE.Audio(audioListener);
+    paintSound = new THREE.Audio(audioListener);
+
+    const audioLoader = new THREE.AudioLoader();
+    audioLoader.load('/audio/pop.mp3', (buffer) => {
+      blockSound.setBuffer(buffer);
+      blockSound.setVolume(0.5);
+
+      // Removal reuses the pop, pitched down so it is distinguishable from placement
+      removeSound.setBuffer(buffer);
+      removeSound.setVolume(0.5);
+      removeSound.setPlaybackRate(0.6);
+
+      // Painting gets a higher pitch
+      paintSound.setBuffer(buffer);
+      paintSound.setVolume(0.4);
+      paintSound.setPlaybackRate(1.5);
+    });
+
+    // Lights
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+    scene.add(ambientLight);
+
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(5, 10, 7);
+    scene.add(directionalLight);
+
+    // Build volume with grid floor and bounding box
+    buildVolume = createBuildVolume(scene, { size: volumeSize(), voxelSize: tuning.voxelSize });
+    gridButton.addEventListener('click', () => setGridVisible(!buildVolume.gridVisible));
+    hudButton.addEventListener('click', () => setHudVisible(!perfHud.visible));
+    boundsButton.addEventListener('click', () => setBoundsVisible(!buildVolume.boundsVisible));
+    setGridVisible(true);
+    setBoundsVisible(true);
+
+    // Batched voxel meshes follow the voxel grid
+    voxelRenderer = createVoxelRenderer(scene, voxelGrid, { voxelSize: tuning.voxelSize });
+    renderedVoxelSize = tuning.voxelSize;
+
+    // Preview Voxel (unit-sized; scaled to the voxel size in applyVoxelSize)
+    const previewGeo = new THREE.BoxGeometry(1, 1, 1);
+    const previewMat = new THREE.MeshStandardMaterial({
+      color: 0x00ff00,
+      transparent: true,
+      opacity: 0.5,
+      wireframe: true
+    });
+    previewVoxel = new THREE.Mesh(previewGeo, previewMat);
+    previewVoxel.visible = false;
+    scene.add(previewVoxel);
+
+    // Selection Highlight (Box surround)
+    const highlightGeo = new THREE.BoxGeometry(1.05, 1.05, 1.05);
+    const highlightMat = new THREE.MeshStandardMaterial({
+      color: 0x00ffff,
+      transparent: true,
+      opacity: 0.3,
+      wireframe: true,
+      emissive: 0x00ffff,
+      emissiveIntensity: 0.5
+    });
+    selectionHighlight = new THREE.Mesh(highlightGeo, highlightMat);
+    selectionHighlight.visible = false;
+    scene.add(selectionHighlight);
+    regionPreview = createRegionPreview(scene);
+    symmetryGuide = createSymmetryGuide(scene);
+    selectionOutline = createSelectionOutline(scene);
+    stampPreview = createRegionPreview(scene);
+    applyVoxelSize();
+
+    // Invisible 3D markers for depth/building calculations (2 hands)
+    for (let i = 0; i < 42; i++) {
+      const marker = new THREE.Object3D();
+      scene.add(marker);
+      handMarkers.push(marker);
+    }
+
+    // Cursors (2 hands)
+    for (let i = 0; i < 2; i++) {
+      const cursorGeo = new THREE.SphereGeometry(0.1, 16, 16);
+      const cursorMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
+      const cursor = new THREE.Mesh(cursorGeo, cursorMat);
+      cursor.visible = false;
+      scene.add(cursor);
+      handCursors.push(cursor);
+    }
+
+    clock = new THREE.Clock();
+
+    // The builder fills root, which is sized by the page embedding it
+    resizeObserver = new ResizeObserver(onResize);
+    resizeObserver.observe(root);
+    if (keyboard) {
+      // Only the builder with focus reacts, so several builders can share a page
+      root.addEventListener('keydown', onKeyDown);
+      root.addEventListener('pointerdown', focusRoot);
+    }
+    onResize(); // Set initial dimensions
+  }
+
+  function onResize() {
+    const width = root.clientWidth || 1;
+    const height = root.clientHeight || 1;
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height);
+
+    canvas2d.width = width;
+    canvas2d.height = height;
+  }
+
+  // Clicks on the canvas and overlays land on elements that cannot take focus themselves
+  function focusRoot() {
+    if (!root.contains(document.activeElement)) root.focus({ preventScroll: true });
+  }
+
+  function onKeyDown(event) {
+    if (event.target.closest('input, select, textarea')) return; // Typing into the settings panel
+    const key = event.key.toLowerCase();
+
+    if (!(event.ctrlKey || event.metaKey)) {
+      if (key === 'p') setPaintMode(!isPaintMode);
+      else if (key === 'g') setGridVisible(!buildVolume.gridVisible);
+      else if (key === 'b') setBoundsVisible(!buildVolume.boundsVisible);
+      else if (key === 'h') handRoles.swapped = !handRoles.swapped;
+      else if (key === 'o') handRoles.oneHanded = !handRoles.oneHanded;
+      else if (key === 'i') setHudVisible(!perfHud.visible);
+      else if (key === 'm') setInputMode(inputMode === 'mouse' ? 'hands' : 'mouse');
+      else if (TOOL_KEYS[Number(key) - 1]) setTool(TOOL_KEYS[Number(key) - 1]);
+      else if (key === 'r') selectionCommands.rotate();
+      else if (key === 'f') selectionCommands[event.shiftKey ? 'flipZ' : 'flipX']();
+      else if (key === 'delete' || key === 'backspace') selectionCommands.delete();
+      else if (key === 'escape') selectionCommands.deselect();
+      else if (SELECTION_MOVE_KEYS[key]) {
+        event.preventDefault();
+        moveSelection(...SELECTION_MOVE_KEYS[key]);
+      }
+      return;
+    }
+
+    if (key === 's') {
+      event.preventDefault();
+      downloadScene();
+    } else if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      redo();
+    } else if (key === 'c') {
+      selectionCommands.copy();
+    } else if (key === 'x') {
+      selectionCommands.cut();
+    } else if (key === 'v') {
+      pasteClipboard();
+    } else if (key === 'd') {
+      event.preventDefault();
+      selectionCommands.duplicate();
+    }
+  }
+
+  async function setupHandTracking() {
+    statusElement.innerText = 'Loading Hand Landmarker...';
+    statusElement.style.background = '';
+    // Tries the GPU delegate first and falls back to the CPU
+    handDetector = await startHandDetector({
+      wasmPath: MEDIAPIPE_WASM_PATH,
+      modelAssetPath: HAND_MODEL_PATH,
+      numHands: 2
+    });
+    handDetector.onResults((detected, { latency }) => {
+      if (sessionPlayer) return; // A frame that was in flight when playback started
+      const now = performance.now();
+      perfHud.detection(latency, now);
+      sessionRecorder.capture(detected, videoElement);
+      // Smoothed per detection so dropouts count detections, not the render frames in between
+      resultInterpolator.push(landmarkSmoother.process(detected, now), now);
+    });
+  }
+
+  async function setupWebcam() {
+    statusElement.innerText = 'Starting camera...';
+    await openCamera(videoElement);
+  }
+
+  // --- Logic ---
+
+  function animate() {
+    animationFrame = requestAnimationFrame(animate);
+    const now = performance.now();
+    perfHud.frame(now);
+
+    turntable.update(clock.getDelta());
+    if (controls) controls.update();
+
+    if (sessionPlayer) {
+      // Recorded session stands in for the webcam
+      const playbackResults = sessionPlayer.update(now);
+      if (playbackResults) {
+        handleResults(landmarkSmoother.process(playbackResults, now), sessionPlayer.videoWidth, sessionPlayer.videoHeight);
+      }
+      updatePlaybackControls();
+    } else {
+      // Detection runs in the worker at its own pace; new frames are sent whenever it is free
+      if (handDetector && videoElement.readyState >= 2 && videoElement.currentTime !== lastVideoTime && !handDetector.busy) {
+        lastVideoTime = videoElement.currentTime;
+        handDetector.detect(videoElement, now).then(() => {
+          isFrameGrabFailing = false;
+        }, (error) => {
+          if (!isFrameGrabFailing) console.warn('Could not grab a webcam frame:', error);
+          isFrameGrabFailing = true;
+        });
+      }
+      const detected = resultInterpolator.sample(now);
+      if (detected) handleResults(detected, videoElement.videoWidth, videoElement.videoHeight);
+    }
+    if (inputMode === 'mouse' && !calibrationWizard) processMouse();
+
+    if (isSelectionDirty) refreshSelection();
+    voxelRenderer.update();
+    renderer.render(scene, camera);
+    if (videoRecorder) videoRecorder.frame(); // Right after rendering, while the canvas still has the frame
+    if (collaboration.isConnected) collaboration.sendCursors(localCursorCells(), now);
+    perfHud.update(now, { voxels: voxelGrid.size });
+  }
+
+  // smoothedResults have been through the landmark smoother, so the 2D overlay and the 3D
+  // mapping both see steady landmarks
+  function handleResults(smoothedResults, videoWidth, videoHeight) {
+    results = smoothedResults;
+    updateTrackedHands(results);
+
+    // Calculate mapping for object-fit: cover (centered scaling)
+    const videoAspect = videoWidth / videoHeight;
+    const viewAspect = root.clientWidth / root.clientHeight;
+    let scaleX = 1, scaleY = 1;
+
+    if (videoAspect > viewAspect) {
+      // Video is wider than the view (cropped horizontally)
+      scaleX = videoAspect / viewAspect;
+    } else {
+      // Video is taller than the view (cropped vertically)
+      scaleY = viewAspect / videoAspect;
+    }
+
+    const mapping = { scaleX, scaleY };
+    updateHandMarkers(results, mapping);
+
+    if (calibrationWizard) {
+      // No building while calibrating; just measure the hand
+      processPinch({ landmarks: [], handedness: [] });
+      updateCalibration(results);
+    } else if (inputMode === 'hands') {
+      processPinch(results);
+    }
+  }
+
+  function updateHandMarkers(results, mapping) {
+    // Clear 2D Canvas
+    ctx2d.clearRect(0, 0, canvas2d.width, canvas2d.height);
+
+    if (results.landmarks && results.landmarks.length > 0) {
+      const viewRect = root.getBoundingClientRect();
+      results.landmarks.forEach((landmarks, handIdx) => {
+        // Corrected landmarks for screen display (centered scaling)
+        const correctedLandmarks = landmarks.map(l => ({
+          x: (l.x - 0.5) * mapping.scaleX + 0.5,
+          y: (l.y - 0.5) * mapping.scaleY + 0.5,
+          z: l.z
+        }));
+        const isNavigating = handRoles.roleOf(handLabelOf(results, handIdx)) === 'navigate';
+        const color = isNavigating ? 'rgba(255, 0, 255, 0.6)' : 'rgba(0, 255, 255, 0.6)';
+        const fillColor = isNavigating ? '#ff00ff' : '#00ffff';
+
+        // 1. Draw 2D Hand Connections
+        ctx2d.strokeStyle = color;
+        ctx2d.lineWidth = 2;
+        HAND_CONNECTIONS.forEach(([startIdx, endIdx]) => {
+          const start = correctedLandmarks[startIdx];
+          const end = correctedLandmarks[endIdx];
+
+          ctx2d.beginPath();
+          ctx2d.moveTo(start.x * canvas2d.width, start.y * canvas2d.height);
+          ctx2d.lineTo(end.x * canvas2d.width, end.y * canvas2d.height);
+          ctx2d.stroke();
+        });
+
+        // Index tip in client coordinates (the canvas is mirrored) for hovering DOM controls
+        handScreenTips[handIdx] = {
+          x: viewRect.left + (1 - correctedLandmarks[8].x) * viewRect.width,
+          y: viewRect.top + correctedLandmarks[8].y * viewRect.height
+        };
+
+        // 2. Draw 2D Hand Landmarks (points)
+        ctx2d.fillStyle = fillColor;
+        correctedLandmarks.forEach((landmark) => {
+          ctx2d.beginPath();
+          ctx2d.arc(landmark.x * canvas2d.width, landmark.y * canvas2d.height, 4, 0, Math.PI * 2);
+          ctx2d.fill();
+        });
+
+        // 3. Update Invisible 3D markers for depth/building logic
+        // --- Improved Depth Estimation via Hand Scale ---
+        // Distance between wrist (0) and middle finger MCP (9)
+        const handScale = handScaleOf(landmarks);
+
+        // --- Natural Depth Mapping (Direct Relationship, calibrated per user) ---
+        // Hand further from webcam (lower scale) -> Voxel closer to camera
+        // Hand closer to webcam (higher scale) -> Voxel further from camera
+        const baseDistance = handScale * depthMapping.scale + depthMapping.offset;
+
+        correctedLandmarks.forEach((landmark, i) => {
+          const markerIdx = handIdx * 21 + i;
+          const marker = handMarkers[markerIdx];
+
+          // Mirror X for AR alignment (since canvas is mirrored)
+          const vector = new THREE.Vector3(
+            -((landmark.x * 2) - 1),
+            - (landmark.y * 2) + 1,
+            0.5
+          );
+
+          vector.unproject(camera);
+          const dir = vector.clone().sub(camera.position).normalize();
+
+          // Landmark.z is negative when closer to camera relative to the hand root
+          const relativeDepth = landmark.z * depthMapping.zScale;
+          const distance = baseDistance + relativeDepth;
+
+          const pos = camera.position.clone().add(dir.multiplyScalar(distance));
+
+          marker.position.copy(pos);
+        });
+      });
+    }
+  }
+
+  function processPinch(results) {
+    if (!results.landmarks || results.landmarks.length === 0) {
+      handCursors.forEach(c => c.visible = false);
+      isLeftGestureActive = false;
+      updateBuilding(null);
+      endPinch();
+      setActiveGesture(null);
+      Object.values(poseTrackers).forEach(tracker => tracker.reset());
+      return;
+    }
+
+    // Frame-level aggregate state
+    let frameBuildTarget = null;
+    let isAnyRotatingHandDetected = false;
+    let isAnyBuildingHandDetected = false;
+    let isEraseModifierActive = false; // Navigating hand fist turns a build pinch into erase
+    let frameCurrentPinchWorldPos = null;
+    let frameSecondPinchPos = null; // Navigating hand's pinch, the second corner of a region
+    let frameHoveredSwatch = null;
+    let framePinchDistance = 999;
+    let frameGesture = null; // Navigation gesture held this frame, for gestureStart/End
+    const seenHands = new Set();
+
+    results.landmarks.forEach((landmarks, handIdx) => {
+      if (handRoles.oneHanded && handIdx > 0) return; // Only the first hand counts in one-handed mode
+      const label = handLabelOf(results, handIdx);
+      const pose = poseTrackers[label].update(landmarks).active;
+      seenHands.add(label);
+
+      // One-handed mode: holding the switch pose flips between building and navigating
+      if (handRoles.updateSwitch(pose, performance.now())) {
+        endPinch();
+        isLeftGestureActive = false;
+        lastLeftPinchDistance = 0;
+      }
+      const role = handRoles.roleOf(label);
+
+      const thumbTip = landmarks[4];
+      const indexTip = landmarks[8];
+      const distance = Math.sqrt(
+        Math.pow(thumbTip.x - indexTip.x, 2) +
+        Math.pow(thumbTip.y - indexTip.y, 2) +
+        Math.pow(thumbTip.z - indexTip.z, 2)
+      );
+
+      const m4 = handMarkers[handIdx * 21 + 4].position;
+      const m8 = handMarkers[handIdx * 21 + 8].position;
+      if (!m4 || !m8) return;
+      const currentHandPinchWorldPos = new THREE.Vector3().addVectors(m4, m8).multiplyScalar(0.5);
+
+      // Update 3D Cursor to follow index tip
+      const cursor = handCursors[handIdx];
+      if (cursor) {
+        cursor.position.copy(m8);
+        cursor.material.color.set(role === 'navigate' ? 0xff00ff : 0x00ffff);
+        cursor.visible = true;
+      }
+
+      if (role === 'navigate') {
+        isAnyRotatingHandDetected = true;
+        if (regionAnchor && distance < tuning.pinchThreshold) {
+          // Pinching with both hands spans the region between them
+          frameSecondPinchPos = currentHandPinchWorldPos;
+          isLeftGestureActive = false;
+          lastLeftPinchDistance = 0;
+          return;
+        }
+        const spinning = pose.threeFinger;
+        const tilting = pose.tilting;
+
+        if (spinning || tilting) {
+          frameGesture = spinning ? 'spin' : 'tilt';
+          if (!isLeftGestureActive) {
+            isLeftGestureActive = true;
+            lastLeftHandPos.set(thumbTip.x, thumbTip.y);
+          } else {
+            if (spinning) {
+              const deltaX = thumbTip.x - lastLeftHandPos.x;
+              controls.rotateLeft(-deltaX * tuning.rotateSensitivity);
+            }
+            if (tilting) {
+              const deltaY = thumbTip.y - lastLeftHandPos.y;
+              controls.rotateUp(deltaY * tuning.rotateSensitivity);
+            }
+            controls.update();
+            lastLeftHandPos.set(thumbTip.x, thumbTip.y);
+          }
+        } else if (pose.grip) {
+          // --- ZOOM LOGIC (Left Hand) ---
+          // Only zoom if middle and ring are curled with thumb and pinky out (grip pose)
+          isLeftGestureActive = false;
+          frameGesture = 'zoom';
+
+          // Removed distance < threshold check to allow for wide spreading
+          if (lastLeftPinchDistance > 0) {
+            const deltaDist = distance - lastLeftPinchDistance;
+            const zoomSensitivity = tuning.zoomSensitivity;
+
+            if (Math.abs(deltaDist) > 0.001) {
+              // Inverting logic: User reports spread = further.
+              // We swap so spread (deltaDist > 0) -> dollyIn (closer)
+              // Wait, if users says spread CURRENTLY makes it further, and my code has dollyIn...
+              // Then dollyIn is making it further? That's impossible.
+              // Let's swap the functions as requested.
+              if (deltaDist > 0) {
+                controls.dollyOut(1 + deltaDist * zoomSensitivity);
+              } else {
+                controls.dollyIn(1 - deltaDist * zoomSensitivity);
+              }
+              controls.update();
+            }
+          }
+          lastLeftPinchDistance = distance;
+        } else if (pose.pointing) {
+          // --- UNDO (Left Hand index pointing) ---
+          isLeftGestureActive = false;
+          frameGesture = 'undo';
+          lastLeftPinchDistance = 0;
+          const now = performance.now();
+          if (now - lastUndoGestureTime > UNDO_GESTURE_COOLDOWN) {
+            undo();
+            lastUndoGestureTime = now;
+          }
+        } else if (pose.openPalm) {
+          // --- NEXT COLOR (Left Hand open palm) ---
+          isLeftGestureActive = false;
+          frameGesture = 'color';
+          lastLeftPinchDistance = 0;
+          const now = performance.now();
+          if (now - lastColorGestureTime > COLOR_GESTURE_COOLDOWN) {
+            palette.next();
+            lastColorGestureTime = now;
+          }
+        } else {
+          isLeftGestureActive = false;
+          lastLeftPinchDistance = 0;
+          if (pose.fist) {
+            isEraseModifierActive = true;
+            frameGesture = 'erase';
+          }
+        }
+      } else {
+        // --- BUILD HAND LOGIC: SELECTION & PINCH DETECTION ---
+        isAnyBuildingHandDetected = true;
+        frameCurrentPinchWorldPos = currentHandPinchWorldPos;
+        framePinchDistance = distance;
+
+        const tip = handScreenTips[handIdx];
+        if (tip) frameHoveredSwatch = swatchIndexAt(tip.x, tip.y);
+
+        const rayDir = m8.clone().sub(camera.position).normalize();
+        raycaster.set(camera.position, rayDir);
+        frameBuildTarget = targetUnderRay();
+      }
+    });
+
+    // Hands that dropped out start their poses from scratch when they return
+    Object.entries(poseTrackers).forEach(([hand, tracker]) => {
+      if (!seenHands.has(hand)) tracker.reset();
+    });
+    setActiveGesture(frameGesture);
+
+    // --- GLOBAL STATE UPDATE & BUILDING ---
+    const frame = updateBuilding(isAnyBuildingHandDetected ? {
+      pinchPos: frameCurrentPinchWorldPos,
+      secondPinchPos: frameSecondPinchPos,
+      isPressed: framePinchDistance < tuning.pinchThreshold,
+      isReleased: framePinchDistance > tuning.pinchThreshold + 0.01,
+      erase: isEraseModifierActive,
+      hoveredSwatch: frameHoveredSwatch,
+      target: frameBuildTarget
+    } : null);
+
+    // Update Status UI
+    const buildHint = handRoles.oneHanded ? '' : ` (${handRoles.handFor('build')} Hand)`;
+    const navigateHint = handRoles.oneHanded
+      ? 'Navigate mode: 3-Fingers Spin | 4-Fingers Tilt | Pinky-Out Zoom | Point Undo | Palm Color | Hold ✌ to Build'
+      : `${handRoles.handFor('navigate')}: 3-Fingers Spin | 4-Fingers Tilt | Pinky-Out Zoom | Fist Erase | Point Undo | Palm Color`;
+    if (showBuildingStatus(frame, `Pinch${buildHint}`)) {
+      // A message, stroke or hover hint has the status line
+    } else if (handRoles.isSwitching) {
+      statusElement.innerText = "Hold ✌ to switch mode...";
+      statusElement.style.background = "rgba(255, 255, 255, 0.2)";
+    } else if (isAnyRotatingHandDetected && isAnyBuildingHandDetected) {
+      statusElement.innerText = navigateHint;
+    } else if (isAnyBuildingHandDetected) {
+      statusElement.innerText = handRoles.oneHanded
+        ? "Build mode: hover over a block to start building | Hold ✌ to Navigate"
+        : `Hover ${handRoles.handFor('build').toLowerCase()} hand over a block to start building`;
+    } else if (isAnyRotatingHandDetected) {
+      statusElement.innerText = navigateHint;
+    } else {
+      statusElement.innerText = `Waiting for hands... (${handRoles.describe()})`;
+    }
+
+    // Hide inactive cursors
+    handCursors.forEach((cursor, idx) => {
+      if (!results.landmarks[idx]) cursor.visible = false;
+    });
+
+    if (!isAnyRotatingHandDetected) {
+      isLeftGestureActive = false;
+    }
+  }
+
+  // Reports navigation gestures ('spin', 'tilt', 'zoom', 'undo', 'color', 'erase') as they begin and end
+  function setActiveGesture(gesture) {
+    if (gesture === activeGesture) return;
+    if (activeGesture) emit('gestureEnd', { gesture: activeGesture });
+    activeGesture = gesture;
+    if (gesture) emit('gestureStart', { gesture });
+  }
+
+  // Reports hands that appeared or dropped out since the last detection
+  function updateTrackedHands(results) {
+    const hands = new Set((results.landmarks || []).map((_, handIdx) => handLabelOf(results, handIdx)));
+    const detected = [...hands].filter(hand => !trackedHands.has(hand));
+    const lost = [...trackedHands].filter(hand => !hands.has(hand));
+    lost.forEach(hand => trackedHands.delete(hand));
+    detected.forEach(hand => trackedHands.add(hand));
+    if (detected.length > 0) emit('handsDetected', { hands: detected });
+    if (lost.length > 0) emit('handsLost', { hands: lost });
+  }
+
+  // What the raycaster points at: the hovered voxel and its face, else the floor cell below it
+  function targetUnderRay() {
+    const target = { voxelPos: null, normal: null, floorPos: null };
+    const hit = voxelGrid.size > 0 ? voxelRenderer.raycast(raycaster) : null;
+
+    if (hit) {
+      target.voxelPos = cellToWorld(hit.cell);
+      lastTargetedCell = hit.cell;
+      // Faces are axis-aligned; rounding removes float noise from the hit normal
+      target.normal = new THREE.Vector3(Math.round(hit.normal.x), Math.round(hit.normal.y), Math.round(hit.normal.z));
+    } else {
+      // Nothing hovered: fall through to the floor of the build volume, drawn or not
+      const floorCell = buildVolume.raycastFloor(raycaster);
+      if (floorCell) target.floorPos = cellToWorld(floorCell);
+    }
+    return target;
+  }
+
+  // Hover highlight, preview and the pinch stroke for the building pointer, shared by the build hand
+  // and the mouse. input is { pinchPos, secondPinchPos, isPressed, isReleased, erase, hoveredSwatch,
+  // target } with target from targetUnderRay(), or null when no building pointer is present.
+  // Returns what the pointer is over, for the status line.
+  function updateBuilding(input) {
+    setHoveredSwatch(input ? input.hoveredSwatch : null);
+    if (!input) {
+      previewVoxel.visible = false;
+      selectionHighlight.visible = false;
+      updateStampPreview(null);
+      return null;
+    }
+
+    const { voxelPos: frameTargetVoxelPos, normal: frameTargetNormal, floorPos: frameFloorPos } = input.target;
+    const frameCurrentPinchWorldPos = input.pinchPos;
+    const frameHoveredSwatch = input.hoveredSwatch;
+    const frameMode = input.erase ? 'erase' : (isPaintMode ? 'paint' : 'build');
+
+    // Where a pinch would place a new voxel: the cell in front of the hovered face, the hovered
+    // floor cell, or anywhere for the very first voxel
+    let frameNewVoxelPos = null;
+    if (frameMode === 'build' && frameHoveredSwatch === null) {
+      if (frameTargetVoxelPos) {
+        const adjacentPos = frameTargetVoxelPos.clone().addScaledVector(frameTargetNormal, tuning.voxelSize);
+        if (!hasVoxel(adjacentPos)) frameNewVoxelPos = adjacentPos;
+      } else if (frameFloorPos) {
+        frameNewVoxelPos = frameFloorPos;
+      } else if (voxelGrid.size === 0) {
+        frameNewVoxelPos = snapToGrid(frameCurrentPinchWorldPos);
+      }
+    }
+    const isNewVoxelInside = frameNewVoxelPos !== null && isInsideBuildVolume(frameNewVoxelPos);
+    if (frameNewVoxelPos) lastPlacementCell = worldToCell(frameNewVoxelPos);
+
+    // 1. Update Selection Highlight
+    if (isPinching && regionAnchor) {
+      selectionHighlight.visible = false; // The region preview shows what is affected
+    } else if (isPinching) {
+      selectionHighlight.position.copy(lastPlacedPos);
+      selectionHighlight.visible = true;
+    } else if (frameTargetVoxelPos) {
+      selectionHighlight.position.copy(frameTargetVoxelPos);
+      selectionHighlight.visible = true;
+    } else {
+      selectionHighlight.visible = false;
+    }
+
+    // 2. Process Pinch State
+    if (input.isPressed) {
+      const now = performance.now();
+      if (isSwatchPinch) {
+        // Pinch was spent on picking a color; wait for release
+      } else if (!isPinching && frameHoveredSwatch !== null) {
+        palette.select(frameHoveredSwatch);
+        isSwatchPinch = true;
+      } else if (!isPinching) {
+        let startPos = null;
+        let isNewVoxel = false;
+        let tool = activeTool;
+
+        if (activeTool === 'select') {
+          // Pinching a selected voxel drags the selection; anywhere else starts a box selection
+          startPos = frameTargetVoxelPos || frameFloorPos;
+          if (frameTargetVoxelPos && isSelected(worldToCell(frameTargetVoxelPos))) tool = 'move';
+        } else if (frameMode !== 'build') {
+          // --- ERASE / PAINT: act on the targeted voxel and track the line from there ---
+          startPos = frameTargetVoxelPos;
+        } else if (frameNewVoxelPos && isNewVoxelInside) {
+          // Pinch-tap places on the hovered face (or floor cell / first voxel), rejected outside the build volume
+          startPos = frameNewVoxelPos;
+          isNewVoxel = true;
+        }
+
+        if (startPos && !isImporting) {
+          // Everything until release is one undoable stroke
+          history.beginStroke();
+          strokeMode = frameMode;
+          if (tool === 'stamp' && strokeMode === 'build') {
+            // Every pinch-tap stamps one copy of the clipboard
+            if (clipboard) stampClipboard(worldToCell(startPos));
+            strokeMode = 'stamp';
+          } else if (tool !== 'voxel' && tool !== 'stamp') {
+            // Region, selection and move strokes only preview while pinched and commit on release
+            if (tool === 'select' || tool === 'move') strokeMode = tool;
+            regionTool = tool;
+            regionAnchor = worldToCell(startPos);
+            regionTwoHanded = false;
+            regionPreviewKey = '';
+            updateRegion(frameCurrentPinchWorldPos, null, frameCurrentPinchWorldPos);
+          } else if (strokeMode === 'erase') {
+            eraseMirrored(startPos);
+          } else if (strokeMode === 'paint') {
+            paintMirrored(startPos, palette.current);
+          } else if (isNewVoxel) {
+            buildMirrored(startPos);
+          }
+          lastPlacedPos.copy(startPos);
+
+          isPinching = true;
+          emit('pinchStart', { mode: strokeMode, tool, cell: worldToCell(startPos) });
+          // Building onto a face extrudes along its normal; otherwise the axis is picked once movement starts
+          currentBuildNormal = strokeMode === 'build' && frameTargetVoxelPos ? frameTargetNormal.clone() : null;
+          lastPinchWorldPos.copy(frameCurrentPinchWorldPos);
+          lastBuildTime = now;
+        }
+      } else if (regionAnchor) {
+        updateRegion(frameCurrentPinchWorldPos, input.secondPinchPos, lastPinchWorldPos);
+      } else if (strokeMode === 'stamp') {
+        // One stamp per pinch; wait for release
+      } else if (now - lastBuildTime > tuning.buildCooldown) {
+        // Calculate delta from last pinch pos
+        const handDelta = frameCurrentPinchWorldPos.clone().sub(lastPinchWorldPos);
+
+        if (currentBuildNormal) {
+          // Direction is locked - build only along this axis
+          const projectedDist = handDelta.dot(currentBuildNormal);
+          if (Math.abs(projectedDist) >= tuning.voxelSize * 0.6) {
+            const steps = Math.sign(projectedDist);
+            const nextVoxelPos = lastPlacedPos.clone().add(currentBuildNormal.clone().multiplyScalar(steps * tuning.voxelSize));
+
+            if (applyStrokeStep(nextVoxelPos)) {
+              lastPlacedPos.copy(nextVoxelPos);
+              lastPinchWorldPos.copy(frameCurrentPinchWorldPos);
+              lastBuildTime = now;
+            }
+          }
+        } else {
+          // Determine the dominant axis of movement to lock it
+          const absX = Math.abs(handDelta.x);
+          const absY = Math.abs(handDelta.y);
+          const absZ = Math.abs(handDelta.z);
+          const maxDelta = Math.max(absX, absY, absZ);
+
+          if (maxDelta >= tuning.voxelSize * 1.2) { // Increased confidence threshold for initial lock
+            let moveDir = new THREE.Vector3();
+            if (maxDelta === absX) moveDir.set(Math.sign(handDelta.x), 0, 0);
+            else if (maxDelta === absY) moveDir.set(0, Math.sign(handDelta.y), 0);
+            else moveDir.set(0, 0, Math.sign(handDelta.z));
+
+            const nextVoxelPos = lastPlacedPos.clone().add(moveDir.clone().multiplyScalar(tuning.voxelSize));
+
+            if (applyStrokeStep(nextVoxelPos)) {
+              lastPlacedPos.copy(nextVoxelPos);
+              lastPinchWorldPos.copy(frameCurrentPinchWorldPos);
+              lastBuildTime = now;
+              currentBuildNormal = moveDir.clone(); // LOCK the direction
+            }
+          }
+        }
+      }
+      previewVoxel.visible = false;
+    } else {
+      if (input.isReleased) {
+        if (regionAnchor) commitRegion();
+        endPinch();
+      }
+      // 3. Update Preview Voxel (no preview when targeting existing voxel, just the selection highlight)
+      if (frameNewVoxelPos && activeTool !== 'stamp' && activeTool !== 'select') {
+        previewVoxel.position.copy(frameNewVoxelPos);
+        previewVoxel.material.color.set(isNewVoxelInside ? 0x00ff00 : 0xff0000);
+        previewVoxel.visible = true;
+      } else {
+        previewVoxel.visible = false;
+      }
+    }
+    updateStampPreview(!isPinching && activeTool === 'stamp' && clipboard && frameNewVoxelPos ? worldToCell(frameNewVoxelPos) : null);
+
+    return {
+      mode: frameMode,
+      targetVoxelPos: frameTargetVoxelPos,
+      newVoxelPos: frameNewVoxelPos,
+      isNewVoxelInside,
+      hoveredSwatch: frameHoveredSwatch
+    };
+  }
+
+  // Status for one-off messages, strokes and what the building pointer hovers; returns false when
+  // none of them applies. press names the action in hints, e.g. "Pinch (Right Hand)" or "Click".
+  function showBuildingStatus(frame, press) {
+    if (performance.now() < statusMessageUntil) {
+      // Keep showing a one-off message (e.g. file load result)
+    } else if (isPinching && regionAnchor) {
+      statusElement.innerText = regionStatusText();
+      statusElement.style.background = "rgba(0, 255, 0, 0.4)";
+    } else if (activeTool === 'stamp' && !clipboard && frame) {
+      statusElement.innerText = "Select voxels and copy them (Ctrl+C) to stamp them";
+      statusElement.style.background = "rgba(255, 255, 255, 0.2)";
+    } else if (isPinching && strokeMode === 'erase') {
+      statusElement.innerText = "Erasing...";
+      statusElement.style.background = "rgba(255, 0, 0, 0.4)";
+    } else if (isPinching && strokeMode === 'paint') {
+      statusElement.innerText = "Painting...";
+      statusElement.style.background = "rgba(255, 200, 0, 0.4)";
+    } else if (isPinching) {
+      statusElement.innerText = "Building...";
+      statusElement.style.background = "rgba(0, 255, 0, 0.4)";
+    } else if (isLeftGestureActive) {
+      statusElement.innerText = "Rotating View...";
+      statusElement.style.background = "rgba(255, 0, 255, 0.4)";
+    } else if (!frame) {
+      return false;
+    } else if (frame.newVoxelPos && !frame.isNewVoxelInside) {
+      statusElement.innerText = "Outside the build volume";
+      statusElement.style.background = "rgba(255, 0, 0, 0.2)";
+    } else if (frame.hoveredSwatch !== null) {
+      statusElement.innerText = `${press} to pick this color`;
+      statusElement.style.background = "rgba(255, 255, 255, 0.2)";
+    } else if (frame.targetVoxelPos && frame.mode === 'erase') {
+      statusElement.innerText = `${press} and drag to Erase`;
+      statusElement.style.background = "rgba(255, 0, 0, 0.2)";
+    } else if (frame.targetVoxelPos && frame.mode === 'paint') {
+      statusElement.innerText = `${press} and drag to Paint`;
+      statusElement.style.background = "rgba(255, 200, 0, 0.2)";
+    } else if (frame.targetVoxelPos) {
+      statusElement.innerText = `${press} to place on this face, drag to extrude`;
+      statusElement.style.background = "rgba(0, 255, 255, 0.2)";
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  // --- Mouse Input ---
+
+  function setupMouseInput() {
+    pointerInput = createPointerInput(renderer.domElement);
+    mouseModeButton.addEventListener('click', () => setInputMode(inputMode === 'mouse' ? 'hands' : 'mouse'));
+    setInputMode('hands');
+  }
+
+  // 'hands' builds with the tracked hands, 'mouse' with the pointer and keyboard
+  function setInputMode(mode) {
+    inputMode = mode;
+    isMouseFallback = false;
+    endPinch();
+    isLeftGestureActive = false;
+    lastLeftPinchDistance = 0;
+    handCursors.forEach(cursor => cursor.visible = false);
+    updateBuilding(null);
+    setActiveGesture(null);
+    // The left button builds in mouse mode, so orbiting moves to the right button
+    controls.mouseButtons = mode === 'mouse'
+      ? { LEFT: null, MIDDLE: THREE.MOUSE.PAN, RIGHT: THREE.MOUSE.ROTATE }
+      : { LEFT: THREE.MOUSE.ROTATE, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.PAN };
+    mouseModeButton.classList.toggle('active', mode === 'mouse');
+  }
+
+  // Mouse counterpart of processPinch: the pointer hovers, the left button pinches, Shift erases
+  function processMouse() {
+    if (!pointerInput.isOver && !pointerInput.isDown) {
+      updateBuilding(null);
+      if (!showBuildingStatus(null, 'Click')) showMouseHint();
+      return;
+    }
+
+    raycaster.setFromCamera(pointerInput.position, camera);
+    const target = targetUnderRay();
+    updateMouseDragPos(target);
+    const frame = updateBuilding({
+      pinchPos: mouseDragPos,
+      secondPinchPos: null,
+      isPressed: pointerInput.isDown,
+      isReleased: !pointerInput.isDown,
+      erase: pointerInput.shiftKey,
+      hoveredSwatch: null, // Swatches take real clicks
+      target
+    });
+    if (!showBuildingStatus(frame, 'Click')) showMouseHint();
+  }
+
+  function showMouseHint() {
+    statusElement.innerText = "Click the floor or a voxel face to build | Shift erases | Right-drag orbits | 1-9 pick tools";
+    statusElement.style.background = "rgba(255, 255, 255, 0.2)";
+  }
+
+  // The world position standing in for the pinch. With the button up it follows the pointer at the
+  // depth of whatever is under it; while a stroke is held it stays at that depth. Once an extrusion
+  // locks to an axis the drag is measured along the axis on screen, so faces that point at the
+  // camera (where the axis has no visible length) extrude by dragging up.
+  function updateMouseDragPos(target) {
+    const pointer = pointerInput.position;
+    if (!isPinching) {
+      const hovered = target.voxelPos || target.floorPos;
+      mouseDragDepth = hovered ? camera.position.distanceTo(hovered) : camera.position.length();
+      raycaster.ray.at(mouseDragDepth, mouseDragPos);
+    } else if (!currentBuildNormal || regionAnchor) {
+      raycaster.ray.at(mouseDragDepth, mouseDragPos);
+    } else {
+      const halfWidth = renderer.domElement.clientWidth / 2;
+      const halfHeight = renderer.domElement.clientHeight / 2;
+      const from = lastPlacedPos.clone().project(camera);
+      const to = lastPlacedPos.clone().add(currentBuildNormal).project(camera);
+      // Pixels the pointer moves per world unit along the axis
+      const axis = new THREE.Vector2((to.x - from.x) * halfWidth, (to.y - from.y) * halfHeight);
+      if (axis.length() * tuning.voxelSize < MOUSE_AXIS_MIN_PIXELS) axis.set(0, MOUSE_AXIS_MIN_PIXELS / tuning.voxelSize);
+      const drag = new THREE.Vector2((pointer.x - lastMouseNdc.x) * halfWidth, (pointer.y - lastMouseNdc.y) * halfHeight);
+      mouseDragPos.addScaledVector(currentBuildNormal, drag.dot(axis) / axis.lengthSq());
+    }
+    lastMouseNdc.set(pointer.x, pointer.y);
+  }
+
+  // Ends the active pinch stroke, if any, and forgets its drag state. An uncommitted region is dropped.
+  function endPinch() {
+    if (isPinching) {
+      history.endStroke();
+      emit('pinchEnd', { mode: strokeMode });
+    }
+    isPinching = false;
+    isSwatchPinch = false;
+    strokeMode = null;
+    currentBuildNormal = null;
+    regionTool = null;
+    regionAnchor = null;
+    regionCorners = null;
+    regionCells = null;
+    regionPreview.hide();
+  }
+
+  // --- Region Tools ---
+
+  function setupTools() {
+    toolButtons.forEach(button => button.addEventListener('click', () => setTool(button.dataset.tool)));
+    hollowButton.addEventListener('click', () => setHollow(!isHollow));
+    setTool('voxel');
+    setHollow(false);
+  }
+
+  function setTool(tool) {
+    activeTool = tool;
+    toolButtons.forEach(button => button.classList.toggle('active', button.dataset.tool === tool));
+    hollowButton.disabled = !HOLLOW_TOOLS.includes(tool);
+  }
+
+  function setHollow(enabled) {
+    isHollow = enabled;
+    hollowButton.classList.toggle('active', enabled);
+  }
+
+  // Recomputes the region from the pinch positions and refreshes the preview when it changed
+  function updateRegion(pinchPos, secondPinchPos, pinchStartPos) {
+    if (secondPinchPos && regionTool !== 'move') {
+      // Both hands pinching: each hand holds one corner
+      regionCorners = [buildVolume.clamp(worldToCell(pinchPos)), buildVolume.clamp(worldToCell(secondPinchPos))];
+      regionTwoHanded = true;
+    } else if (!regionTwoHanded) {
+      // Drag: the far corner follows the hand's movement since the pinch started
+      const end = cellToWorld(regionAnchor).add(pinchPos.clone().sub(pinchStartPos));
+      regionCorners = [regionAnchor, buildVolume.clamp(worldToCell(end))];
+    }
+
+    const key = JSON.stringify([regionTool, isHollow, regionCorners]);
+    if (key === regionPreviewKey) return;
+    regionPreviewKey = key;
+    const [a, b] = regionCorners;
+    if (regionTool === 'select') {
+      regionCells = shapeCells('box', a, b);
+    } else if (regionTool === 'move') {
+      regionCells = translateCells(selectedCells(), { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z });
+    } else {
+      regionCells = mirrorCells(shapeCells(regionTool, a, b, { hollow: isHollow }), symmetry);
+    }
+
+    let color = palette.current;
+    if (regionTool === 'select' || regionTool === 'move') color = 0xffff00;
+    else if (strokeMode === 'erase') color = 0xff0000;
+    regionPreview.show(regionCells, tuning.voxelSize, color);
+  }
+
+  function regionStatusText() {
+    if (regionTool === 'select') {
+      const count = regionCells.filter(({ x, y, z }) => voxelGrid.has(x, y, z)).length;
+      return `Box select: ${count} voxels, release to select`;
+    }
+    if (regionTool === 'move') return `Moving ${regionCells.length} voxels, release to drop`;
+    const verb = strokeMode === 'erase' ? 'erase' : (strokeMode === 'paint' ? 'paint' : 'place');
+    return `${regionTool[0].toUpperCase() + regionTool.slice(1)}: ${regionCells.length} voxels, release to ${verb}`;
+  }
+
+  // Applies the previewed region in one go; it joins the pinch stroke, so it undoes as one step
+  function commitRegion() {
+    if (!regionCells) return;
+    if (regionTool === 'select') {
+      setSelection(regionCells.filter(({ x, y, z }) => voxelGrid.has(x, y, z)));
+      return;
+    }
+    if (regionTool === 'move') {
+      replaceSelection(regionCells);
+      return;
+    }
+    const before = voxelGrid.size;
+    regionCells.forEach((cell) => {
+      const pos = cellToWorld(cell);
+      if (strokeMode === 'erase') removeVoxel(pos, false);
+      else if (strokeMode === 'paint') recolorVoxel(pos, palette.current, false);
+      else if (buildVolume.contains(cell)) addVoxel(pos, palette.current, false);
+    });
+    if (strokeMode === 'erase') playSound(removeSound);
+    else if (strokeMode === 'paint') playSound(paintSound);
+    else if (voxelGrid.size > before) playSound(blockSound);
+  }
+
+  function handLabelOf(results, handIdx) {
+    const handedness = results.handedness[handIdx] && results.handedness[handIdx][0];
+    return handedness && (handedness.categoryName === "Left" || handedness.label === "Left") ? 'Left' : 'Right';
+  }
+
+  function applyStrokeStep(pos) {
+    // One step of a drag stroke: erase/paint strokes need a voxel there, build strokes need an empty cell
+    const exists = hasVoxel(pos);
+    if (strokeMode === 'erase') {
+      if (!exists) return false;
+      eraseMirrored(pos);
+    } else if (strokeMode === 'paint') {
+      if (!exists) return false;
+      paintMirrored(pos, palette.current);
+    } else {
+      if (exists || !isInsideBuildVolume(pos)) return false;
+      buildMirrored(pos);
+    }
+    return true;
+  }
+
+  // --- Symmetry ---
+
+  function setupSymmetry() {
+    mirrorButtons.forEach(button => button.addEventListener('click', () => {
+      const axis = button.dataset.axis;
+      symmetry.axes[axis] = !symmetry.axes[axis];
+      updateSymmetry();
+    }));
+    mirrorCenterButton.addEventListener('click', () => {
+      if (!lastTargetedCell) {
+        showStatusMessage('Hover a voxel first to center the mirror planes on it', "rgba(255, 0, 0, 0.4)");
+        return;
+      }
+      setSymmetryCenter(lastTargetedCell);
+    });
+    mirrorResetButton.addEventListener('click', resetSymmetryCenter);
+    resetSymmetryCenter();
+  }
+
+  // Centers the planes on the build volume, so each mirrored half gets the same number of cells
+  function resetSymmetryCenter() {
+    setSymmetryCenter({
+      x: (buildVolume.min.x + buildVolume.max.x) / 2,
+      y: (buildVolume.min.y + buildVolume.max.y) / 2,
+      z: (buildVolume.min.z + buildVolume.max.z) / 2
+    });
+  }
+
+  function setSymmetryCenter(center) {
+    SYMMETRY_AXES.forEach((axis) => {
+      symmetry.center[axis] = snapCenter(center[axis]);
+    });
+    updateSymmetry();
+  }
+
+  function updateSymmetry() {
+    mirrorButtons.forEach(button => button.classList.toggle('active', symmetry.axes[button.dataset.axis]));
+    symmetryGuide.update(symmetry, buildVolume, tuning.voxelSize);
+  }
+
+  // World positions of pos and its mirror images; the first entry is pos itself
+  function mirroredPositions(pos) {
+    return mirrorCells([worldToCell(pos)], symmetry).map(cellToWorld);
+  }
+
+  // User edits go through the mirror planes; only the original cell plays a sound
+  function buildMirrored(pos, color = palette.current) {
+    mirroredPositions(pos).forEach((mirrored, i) => {
+      if (isInsideBuildVolume(mirrored)) addVoxel(mirrored, color, i === 0);
+    });
+  }
+
+  function eraseMirrored(pos) {
+    mirroredPositions(pos).forEach((mirrored, i) => removeVoxel(mirrored, i === 0));
+  }
+
+  function paintMirrored(pos, color) {
+    mirroredPositions(pos).forEach((mirrored, i) => recolorVoxel(mirrored, color, i === 0));
+  }
+
+  // --- Selection & Clipboard ---
+
+  const selectionCommands = {
+    rotate: () => transformSelection(rotateCellsY),
+    flipX: () => transformSelection(cells => flipCells(cells, 'x')),
+    flipZ: () => transformSelection(cells => flipCells(cells, 'z')),
+    duplicate: duplicateSelection,
+    delete: deleteSelection,
+    copy: copySelection,
+    cut: () => {
+      if (isImporting) return; // The delete half is blocked while importing, so skip the copy too
+      copySelection();
+      deleteSelection();
+    },
+    deselect: () => setSelection([])
+  };
+
+  function setupSelection() {
+    selectionButtons.forEach(button => button.addEventListener('click', () => selectionCommands[button.dataset.command]()));
+    // Voxels removed by anything (undo, erase, loading) leave the selection
+    voxelGrid.subscribe((type, cell) => {
+      if (type === 'remove' && selectedCellsByKey.delete(cellKey(cell.x, cell.y, cell.z))) isSelectionDirty = true;
+    });
+    refreshSelection();
+  }
+
+  function isSelected(cell) {
+    return selectedCellsByKey.has(cellKey(cell.x, cell.y, cell.z));
+  }
+
+  // Selected voxels with their current colors
+  function selectedCells() {
+    return [...selectedCellsByKey.values()].map(({ x, y, z }) => voxelGrid.get(x, y, z)).filter(Boolean);
+  }
+
+  function setSelection(cells) {
+    selectedCellsByKey.clear();
+    cells.forEach(({ x, y, z }) => selectedCellsByKey.set(cellKey(x, y, z), { x, y, z }));
+    refreshSelection();
+  }
+
+  function refreshSelection() {
+    isSelectionDirty = false;
+    const cells = selectedCells();
+    selectionOutline.show(cells, tuning.voxelSize);
+    selectionButtons.forEach((button) => {
+      button.disabled = cells.length === 0;
+    });
+  }
+
+  // Swaps the selected voxels for newCells as one undoable step and selects the result.
+  // Cells already occupied by unselected voxels are overwritten.
+  function replaceSelection(newCells, { keepOriginal = false } = {}) {
+    if (newCells.some(cell => !buildVolume.contains(cell))) {
+      showStatusMessage('The selection would leave the build volume', "rgba(255, 0, 0, 0.4)");
+      return false;
+    }
+    history.beginStroke();
+    if (!keepOriginal) selectedCells().forEach(cell => removeVoxel(cellToWorld(cell), false));
+    placeCells(newCells);
+    history.endStroke();
+    setSelection(newCells);
+    return true;
+  }
+
+  function placeCells(cells) {
+    cells.forEach((cell) => {
+      const pos = cellToWorld(cell);
+      if (!buildVolume.contains(cell)) return;
+      if (hasVoxel(pos)) recolorVoxel(pos, cell.color, false);
+      else addVoxel(pos, cell.color, false);
+    });
+    if (cells.length > 0) playSound(blockSound);
+  }
+
+  // Keyboard and button commands never interrupt a pinch stroke or a running import
+  function transformSelection(transform) {
+    const cells = selectedCells();
+    if (isPinching || isImporting || cells.length === 0) return;
+    replaceSelection(transform(cells));
+  }
+
+  function moveSelection(dx, dy, dz) {
+    transformSelection(cells => translateCells(cells, { x: dx, y: dy, z: dz }));
+  }
+
+  // The copy goes right next to the original along X
+  function duplicateSelection() {
+    const cells = selectedCells();
+    if (isPinching || isImporting || cells.length === 0) return;
+    replaceSelection(translateCells(cells, { x: boundsOf(cells).size.x, y: 0, z: 0 }), { keepOriginal: true });
+  }
+
+  function deleteSelection() {
+    const cells = selectedCells();
+    if (isPinching || isImporting || cells.length === 0) return;
+    history.beginStroke();
+    cells.forEach(cell => removeVoxel(cellToWorld(cell), false));
+    history.endStroke();
+    playSound(removeSound);
+  }
+
+  function copySelection() {
+    const cells = selectedCells();
+    if (cells.length === 0) return;
+    clipboard = normalizeCells(cells);
+    showStatusMessage(`Copied ${cells.length} voxels, use the Stamp tool or Ctrl+V to place them`, "rgba(0, 255, 0, 0.4)");
+  }
+
+  // Clipboard cells for a stamp resting on target, centered on it horizontally
+  function stampCellsAt(target) {
+    const { size } = boundsOf(clipboard);
+    const offset = { x: target.x - Math.floor(size.x / 2), y: target.y, z: target.z - Math.floor(size.z / 2) };
+    return mirrorCells(translateCells(clipboard, offset), symmetry);
+  }
+
+  function stampClipboard(target) {
+    placeCells(stampCellsAt(target));
+  }
+
+  // Stamp at the last cell the build hand pointed at
+  function pasteClipboard() {
+    if (isPinching || isImporting || !clipboard) return;
+    if (!lastPlacementCell) {
+      showStatusMessage('Point at a face or the floor to choose where to paste', "rgba(255, 0, 0, 0.4)");
+      return;
+    }
+    history.beginStroke();
+    stampClipboard(lastPlacementCell);
+    history.endStroke();
+  }
+
+  function updateStampPreview(target) {
+    if (!target) {
+      stampPreview.hide();
+      stampPreviewKey = '';
+      return;
+    }
+    const key = cellKey(target.x, target.y, target.z);
+    if (key === stampPreviewKey) return;
+    stampPreviewKey = key;
+    stampPreview.show(stampCellsAt(target), tuning.voxelSize, palette.current);
+  }
+
+  // --- Voxel Model ---
+
+  function worldToCell(pos) {
+    return {
+      x: Math.round(pos.x / tuning.voxelSize),
+      y: Math.round(pos.y / tuning.voxelSize),
+      z: Math.round(pos.z / tuning.voxelSize)
+    };
+  }
+
+  function cellToWorld(cell) {
+    return new THREE.Vector3(cell.x, cell.y, cell.z).multiplyScalar(tuning.voxelSize);
+  }
+
+  function snapToGrid(pos) {
+    return cellToWorld(worldToCell(pos));
+  }
+
+  function isInsideBuildVolume(pos) {
+    return buildVolume.contains(worldToCell(pos));
+  }
+
+  function setGridVisible(visible) {
+    buildVolume.gridVisible = visible;
+    gridButton.classList.toggle('active', visible);
+  }
+
+  function setHudVisible(visible) {
+    perfHud.visible = visible;
+    hudButton.classList.toggle('active', visible);
+  }
+
+  function setBoundsVisible(visible) {
+    buildVolume.boundsVisible = visible;
+    boundsButton.classList.toggle('active', visible);
+  }
+
+  function hasVoxel(pos) {
+    const { x, y, z } = worldToCell(pos);
+    return voxelGrid.has(x, y, z);
+  }
+
+  function addVoxel(pos, color = palette.current, withSound = true) {
+    const { x, y, z } = worldToCell(pos);
+    if (voxelGrid.has(x, y, z)) return;
+
+    voxelGrid.set(x, y, z, { color });
+    history.record({ type: 'add', cell: { x, y, z }, color });
+
+    // Play placement sound
+    if (withSound) playSound(blockSound);
+  }
+
+  function removeVoxel(pos, withSound = true) {
+    const { x, y, z } = worldToCell(pos);
+    const cell = voxelGrid.remove(x, y, z);
+    if (!cell) return;
+
+    history.record({ type: 'remove', cell: { x, y, z }, color: cell.color });
+
+    // Play removal sound
+    if (withSound) playSound(removeSound);
+  }
+
+  function recolorVoxel(pos, color, withSound = true) {
+    const { x, y, z } = worldToCell(pos);
+    const cell = voxelGrid.get(x, y, z);
+    if (!cell || cell.color === color) return;
+
+    voxelGrid.set(x, y, z, { color });
+    history.record({ type: 'recolor', cell: { x, y, z }, from: cell.color, to: color });
+
+    if (withSound) playSound(paintSound);
+  }
+
+  function playSound(sound) {
+    if (sound && sound.buffer) {
+      if (sound.isPlaying) sound.stop();
+      sound.play();
+    }
+  }
+
+  // --- History ---
+
+  // Edits store lattice cells so they stay valid if the voxel size changes
+  function applyEdit(edit) {
+    const pos = cellToWorld(edit.cell);
+    if (edit.type === 'add') addVoxel(pos, edit.color);
+    else if (edit.type === 'remove') removeVoxel(pos);
+    else if (edit.type === 'recolor') recolorVoxel(pos, edit.to);
+  }
+
+  function revertEdit(edit) {
+    const pos = cellToWorld(edit.cell);
+    if (edit.type === 'add') removeVoxel(pos);
+    else if (edit.type === 'remove') addVoxel(pos, edit.color);
+    else if (edit.type === 'recolor') recolorVoxel(pos, edit.from);
+  }
+
+  // Never rewrite a stroke that is still in progress; an import fills one stroke across frames
+  function undo() {
+    if (isPinching || isImporting) return;
+    history.undo(revertEdit);
+  }
+
+  function redo() {
+    if (isPinching || isImporting) return;
+    history.redo(applyEdit);
+  }
+
+  // --- Persistence ---
+
+  function setupPersistence() {
+    restoreAutosave();
+
+    voxelGrid.subscribe(scheduleAutosave);
+    controls.addEventListener('change', scheduleAutosave);
+
+    saveButton.addEventListener('click', () => downloadScene());
+
+    // Load scenes, .vox models and images dropped anywhere on the builder
+    root.addEventListener('dragover', (event) => event.preventDefault());
+    root.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const file = event.dataTransfer.files[0];
+      if (!file) return;
+      if (file.name.toLowerCase().endsWith('.vox')) importFile(file, 'vox');
+      else if (file.type.startsWith('image/')) importFile(file, 'pixels');
+      else loadJsonFile(file);
+    });
+  }
+
+  function currentSceneDocument() {
+    return serializeScene({ grid: voxelGrid, voxelSize: tuning.voxelSize, camera, target: controls.target });
+  }
+
+  function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+      try {
+        localStorage.setItem(storageKey(AUTOSAVE_KEY), JSON.stringify(currentSceneDocument()));
+      } catch (error) {
+        console.warn('Autosave failed:', error);
+      }
+    }, AUTOSAVE_DELAY);
+  }
+
+  function restoreAutosave() {
+    const saved = localStorage.getItem(storageKey(AUTOSAVE_KEY));
+    if (!saved) return;
+    try {
+      const outside = applyScene(parseScene(saved));
+      if (outside > 0) showStatusMessage(`Restored autosave; ${outsideVoxelsText(outside)}`, "rgba(255, 200, 0, 0.4)");
+    } catch (error) {
+      console.warn('Discarding unreadable autosave:', error);
+      localStorage.removeItem(storageKey(AUTOSAVE_KEY));
+    }
+  }
+
+  // Like a shrunk volume, voxels outside the build volume are kept; returns how many there are
+  function applyScene(sceneDoc) {
+    voxelGrid.clear();
+    history.clear();
+    let outside = 0;
+    sceneDoc.voxels.forEach(({ x, y, z, color }) => {
+      voxelGrid.set(x, y, z, { color });
+      if (!buildVolume.contains({ x, y, z })) outside++;
+    });
+
+    if (sceneDoc.camera) {
+      // Camera was saved in world units of the file's voxel size
+      const scale = tuning.voxelSize / sceneDoc.voxelSize;
+      camera.position.fromArray(sceneDoc.camera.position).multiplyScalar(scale);
+      controls.target.fromArray(sceneDoc.camera.target).multiplyScalar(scale);
+      controls.update();
+    }
+    return outside;
+  }
+
+  const skippedVoxelsText = (skipped) => `${skipped} voxels outside the build volume were left out`;
+  const outsideVoxelsText = (outside) => `${outside} voxels are outside the build volume`;
+
+  function downloadScene(fileName = 'voxel-scene.json') {
+    const json = JSON.stringify(currentSceneDocument(), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), fileName);
+  }
+
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Dropped JSON is a scene, a recorded hand session or exported settings
+  async function loadJsonFile(file) {
+    try {
+      const text = await file.text();
+      let doc = null;
+      try {
+        doc = JSON.parse(text);
+      } catch {
+        // Let parseScene report the syntax error
+      }
+      if (doc && doc.format === SESSION_FORMAT) {
+        startPlayback(parseSession(doc));
+      } else if (doc && doc.format === SETTINGS_FORMAT) {
+        settings.importJSON(text);
+      } else if (isImporting) {
+        // Replacing the scene would split the import's undo stroke
+        showStatusMessage(`Wait for the import to finish before loading ${file.name}`, "rgba(255, 0, 0, 0.4)");
+        return;
+      } else {
+        const outside = applyScene(parseScene(text));
+        if (outside > 0) {
+          showStatusMessage(`Loaded ${file.name}; ${outsideVoxelsText(outside)}`, "rgba(255, 200, 0, 0.4)");
+          return;
+        }
+      }
+      showStatusMessage(`Loaded ${file.name}`, "rgba(0, 255, 0, 0.4)");
+    } catch (error) {
+      showStatusMessage(`Could not load ${file.name}: ${error.message}`, "rgba(255, 0, 0, 0.4)");
+    }
+  }
+
+  // --- Export ---
+
+  function setupExport() {
+    exportVoxButton.addEventListener('click', () => runExport(() => {
+      downloadBlob(new Blob([exportVox(voxelGrid)], { type: 'application/octet-stream' }), 'voxels.vox');
+    }));
+
+    exportGlbButton.addEventListener('click', () => runExport(async () => {
+      const glb = await exportGlb(voxelGrid, tuning.voxelSize);
+      downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), 'voxels.glb');
+    }));
+
+    exportObjButton.addEventListener('click', () => runExport(() => {
+      const { obj, mtl } = exportObj(voxelGrid, tuning.voxelSize, 'voxels.mtl');
+      downloadBlob(new Blob([obj], { type: 'text/plain' }), 'voxels.obj');
+      downloadBlob(new Blob([mtl], { type: 'text/plain' }), 'voxels.mtl');
+    }));
+  }
+
+  async function runExport(exporter) {
+    try {
+      await exporter();
+    } catch (error) {
+      showStatusMessage(`Export failed: ${error.message}`, "rgba(255, 0, 0, 0.4)");
+    }
+  }
+
+  // --- Palette & Paint Mode ---
+
+  function setupPalette() {
+    palette.subscribe(renderPalette);
+    renderPalette();
+    setPaintMode(false);
+
+    paintButton.addEventListener('click', () => setPaintMode(!isPaintMode));
+    customColorInput.addEventListener('change', () => {
+      palette.addColor(parseInt(customColorInput.value.slice(1), 16));
+    });
+  }
+
+  function renderPalette() {
+    paletteElement.querySelectorAll('.swatch').forEach(swatch => swatch.remove());
+    palette.colors().forEach((color, index) => {
+      const swatch = document.createElement('div');
+      swatch.className = 'swatch';
+      swatch.style.background = colorToHex(color);
+      swatch.classList.toggle('selected', index === palette.currentIndex);
+      swatch.classList.toggle('hovered', index === hoveredSwatchIndex);
+      swatch.addEventListener('click', () => palette.select(index));
+      paletteElement.insertBefore(swatch, customColorInput.parentElement);
+    });
+    currentColorSwatch.style.background = colorToHex(palette.current);
+  }
+
+  function swatchIndexAt(x, y) {
+    const swatches = paletteElement.querySelectorAll('.swatch');
+    for (let i = 0; i < swatches.length; i++) {
+      const rect = swatches[i].getBoundingClientRect();
+      if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) return i;
+    }
+    return null;
+  }
+
+  function setHoveredSwatch(index) {
+    if (index === hoveredSwatchIndex) return;
+    hoveredSwatchIndex = index;
+    paletteElement.querySelectorAll('.swatch').forEach((swatch, i) => {
+      swatch.classList.toggle('hovered', i === index);
+    });
+  }
+
+  function setPaintMode(enabled) {
+    isPaintMode = enabled;
+    currentModeLabel.innerText = enabled ? 'Paint mode' : 'Build mode';
+    paintButton.classList.toggle('active', enabled);
+  }
+
+  // --- Session Recording & Playback ---
+
+  function setupSessions() {
+    recordButton.addEventListener('click', () => {
+      if (sessionRecorder.isRecording) stopRecording();
+      else startRecording();
+    });
+
+    playButton.addEventListener('click', () => {
+      if (!sessionPlayer) return;
+      if (sessionPlayer.isPlaying) sessionPlayer.pause();
+      else sessionPlayer.play();
+    });
+
+    scrubInput.addEventListener('input', () => {
+      if (!sessionPlayer) return;
+      sessionPlayer.pause();
+      sessionPlayer.seek(Number(scrubInput.value));
+    });
+
+    liveButton.addEventListener('click', stopPlayback);
+  }
+
+  function startRecording() {
+    sessionRecorder.start();
+    recordButton.innerText = 'Stop Recording';
+    recordButton.classList.add('active');
+  }
+
+  function stopRecording() {
+    const session = sessionRecorder.stop();
+    recordButton.innerText = 'Record Session';
+    recordButton.classList.remove('active');
+    downloadBlob(new Blob([JSON.stringify(session)], { type: 'application/json' }), 'hand-session.json');
+    showStatusMessage(`Recorded ${session.frames.length} frames`, "rgba(0, 255, 0, 0.4)");
+  }
+
+  function startPlayback(session) {
+    if (sessionRecorder.isRecording) stopRecording(); // Never record a replay
+    landmarkSmoother.reset();
+    resultInterpolator.reset();
+    if (!sessionPlayer && inputMode === 'mouse') {
+      // Recorded hands build through processPinch, which only runs in hands mode
+      playbackReturnMode = { mode: inputMode, isMouseFallback };
+      setInputMode('hands');
+    }
+    sessionPlayer = createSessionPlayer(session);
+    scrubInput.max = sessionPlayer.duration;
+    playbackControls.hidden = false;
+    recordButton.disabled = true;
+    sessionPlayer.play();
+  }
+
+  function stopPlayback() {
+    sessionPlayer = null;
+    landmarkSmoother.reset();
+    const returnMode = playbackReturnMode;
+    playbackReturnMode = null;
+    // Tracking that started working since the mouse fallback keeps hands mode
+    if (returnMode && inputMode === 'hands' && !(returnMode.isMouseFallback && handDetector)) {
+      setInputMode(returnMode.mode);
+      isMouseFallback = returnMode.isMouseFallback;
+    }
+    playbackControls.hidden = true;
+    recordButton.disabled = false;
+    lastVideoTime = -1; // Resume detection on the next webcam frame
+  }
+
+  function updatePlaybackControls() {
+    scrubInput.value = sessionPlayer.time;
+    playButton.innerText = sessionPlayer.isPlaying ? 'Pause' : 'Play';
+    playbackTimeLabel.innerText = `${(sessionPlayer.time / 1000).toFixed(1)}s / ${(sessionPlayer.duration / 1000).toFixed(1)}s`;
+  }
+
+  // --- Depth Calibration ---
+
+  function setupCalibration() {
+    calibrateButton.addEventListener('click', startCalibration);
+    calibrationCancelButton.addEventListener('click', () => finishCalibration(null));
+    resetCalibrationButton.addEventListener('click', () => {
+      depthMapping = { ...DEFAULT_DEPTH_MAPPING };
+      localStorage.removeItem(storageKey(DEPTH_CALIBRATION_KEY));
+      showStatusMessage('Depth calibration reset to defaults', "rgba(0, 255, 0, 0.4)");
+    });
+  }
+
+  function startCalibration() {
+    calibrationWizard = createCalibrationWizard();
+    calibrationWizard.start(performance.now());
+    calibrationPanel.hidden = false;
+  }
+
+  function updateCalibration(frameResults) {
+    const hand = frameResults.landmarks[0];
+    const state = calibrationWizard.update(hand ? handScaleOf(hand) : null, performance.now());
+
+    if (state.state === 'running') {
+      calibrationStep.innerText = `Step ${state.step} of ${state.steps}: ${state.phase === 'prepare' ? 'get ready' : 'hold still'}`;
+      calibrationPrompt.innerText = state.prompt;
+      calibrationProgress.style.width = `${Math.round(state.progress * 100)}%`;
+    } else if (state.state === 'done') {
+      finishCalibration(state.mapping);
+    } else {
+      finishCalibration(null);
+      showStatusMessage(`Calibration failed: ${state.error.message}`, "rgba(255, 0, 0, 0.4)");
+    }
+  }
+
+  function finishCalibration(mapping) {
+    calibrationWizard = null;
+    calibrationPanel.hidden = true;
+    if (!mapping) return;
+    depthMapping = mapping;
+    saveDepthMapping(storageKey(DEPTH_CALIBRATION_KEY), mapping);
+    showStatusMessage('Depth calibration saved', "rgba(0, 255, 0, 0.4)");
+  }
+
+  // --- Capture ---
+
+  function setupCapture() {
+    turntable = createTurntable(controls);
+    screenshotButton.addEventListener('click', downloadScreenshot);
+    captureCameraButton.addEventListener('click', () => setCaptureWithCamera(!captureWithCamera));
+    turntableButton.addEventListener('click', () => {
+      if (turntable.active) turntable.stop();
+      else startTurntable();
+    });
+    recordVideoButton.addEventListener('click', () => {
+      if (videoRecorder) stopVideoRecording();
+      else startVideoRecording();
+    });
+    recordTurntableButton.addEventListener('click', recordTurntable);
+    setCaptureWithCamera(true);
+    updateCaptureButtons();
+  }
+
+  function setCaptureWithCamera(enabled) {
+    captureWithCamera = enabled;
+    captureCameraButton.classList.toggle('active', enabled);
+  }
+
+  function updateCaptureButtons() {
+    turntableButton.classList.toggle('active', turntable.active);
+    recordVideoButton.classList.toggle('active', Boolean(videoRecorder));
+    recordVideoButton.innerText = videoRecorder ? 'Stop Video' : 'Record Video';
+    recordTurntableButton.disabled = Boolean(videoRecorder) || turntable.active;
+  }
+
+  function captureView() {
+    return { video: videoElement, canvas: renderer.domElement, overlay: canvas2d };
+  }
+
+  function screenshot({ scale = SCREENSHOT_SCALE, withCamera = captureWithCamera } = {}) {
+    return captureScreenshot({ renderer, scene, camera, view: captureView(), scale, withCamera });
+  }
+
+  async function downloadScreenshot() {
+    try {
+      downloadBlob(await screenshot(), 'voxel-build.png');
+      showStatusMessage('Saved voxel-build.png', "rgba(0, 255, 0, 0.4)");
+    } catch (error) {
+      showStatusMessage(`Screenshot failed: ${error.message}`, "rgba(255, 0, 0, 0.4)");
+    }
+  }
+
+  // Orbits around the middle of the model; done runs when the turntable stops
+  function startTurntable({ revolutions, done } = {}) {
+    if (voxelGrid.size > 0) {
+      // Move target and camera together so the view keeps its angle and distance
+      const { min, max } = boundsOf([...voxelGrid.values()]);
+      const center = cellToWorld({ x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 });
+      const offset = center.sub(controls.target);
+      controls.target.add(offset);
+      camera.position.add(offset);
+    }
+    turntable.start({
+      revolutions,
+      done: () => {
+        if (done) done();
+        updateCaptureButtons();
+      }
+    });
+    updateCaptureButtons();
+  }
+
+  function startVideoRecording() {
+    try {
+      videoRecorder = createVideoRecorder(captureView(), { withCamera: captureWithCamera });
+    } catch (error) {
+      showStatusMessage(error.message, "rgba(255, 0, 0, 0.4)");
+      return false;
+    }
+    showStatusMessage('Recording video...', "rgba(255, 0, 0, 0.4)");
+    updateCaptureButtons();
+    return true;
+  }
+
+  async function stopVideoRecording() {
+    if (!videoRecorder) return;
+    const recorder = videoRecorder;
+    videoRecorder = null;
+    updateCaptureButtons();
+    const blob = await recorder.stop();
+    if (isDisposed) return;
+    downloadBlob(blob, 'voxel-build.webm');
+    showStatusMessage(`Saved voxel-build.webm (${(blob.size / 1e6).toFixed(1)} MB)`, "rgba(0, 255, 0, 0.4)");
+  }
+
+  // One full orbit, recorded from start to finish
+  function recordTurntable() {
+    if (!startVideoRecording()) return;
+    startTurntable({ revolutions: 1, done: stopVideoRecording });
+  }
+
+  // --- Collaboration ---
+
+  function setupCollaboration() {
+    collabButton.addEventListener('click', () => {
+      if (collaboration.isConnected || collaboration.isConnecting) {
+        collaboration.disconnect();
+      } else {
+        collaboration.connect(relayUrl, userName);
+        showStatusMessage(`Connecting to ${relayUrl}...`, "rgba(255, 255, 255, 0.2)");
+      }
+      updateCollabButton();
+    });
+    collaboration.subscribe(onCollaborationEvent);
+    updateCollabButton();
+  }
+
+  function onCollaborationEvent(event) {
+    if (event === 'connected') {
+      const others = collaboration.peers.length;
+      const joined = `Collaborating as ${collaboration.self.name}, ${others} other${others === 1 ? '' : 's'} connected`;
+      if (isModelBackedUp) {
+        showStatusMessage(
+          `${joined}. The room's model replaced yours; drop ${SNAPSHOT_BACKUP_FILE} to get yours back`,
+          "rgba(255, 200, 0, 0.4)",
+          SNAPSHOT_NOTICE_DURATION
+        );
+      } else {
+        showStatusMessage(joined, `${colorToHex(collaboration.self.color)}66`);
+      }
+      isModelBackedUp = false;
+    } else if (event === 'replacing') {
+      // The autosave follows the room's model from here on, so the local one goes to a file first
+      downloadScene(SNAPSHOT_BACKUP_FILE);
+      isModelBackedUp = true;
+    } else if (event === 'disconnected') {
+      showStatusMessage(`Disconnected from the relay at ${relayUrl}`, "rgba(255, 0, 0, 0.4)");
+    } else if (event === 'snapshot') {
+      // The room's model replaced ours; local undo steps no longer apply to it
+      endPinch();
+      history.clear();
+      setSelection([]);
+    }
+    if (event === 'peers' || event === 'cursors') updateRemoteCursors();
+    updateCollabButton();
+  }
+
+  function updateCollabButton() {
+    collabButton.classList.toggle('active', collaboration.isConnected || collaboration.isConnecting);
+    const others = collaboration.peers.length;
+    collabButton.innerText = collaboration.isConnected ? `Collaborating (${others + 1})` : 'Collaborate';
+  }
+
+  // Shown next to handCursors: one sphere per hand of every other user, in that user's color
+  function updateRemoteCursors() {
+    const peers = new Map(collaboration.peers.map(peer => [peer.id, peer]));
+    remoteCursors.forEach((cursors, id) => {
+      if (peers.has(id)) return;
+      cursors.forEach((cursor) => {
+        scene.remove(cursor);
+        cursor.material.dispose();
+      });
+      remoteCursors.delete(id);
+    });
+
+    peers.forEach((peer) => {
+      const cursors = remoteCursors.get(peer.id) || [];
+      while (cursors.length < peer.cursors.length) {
+        const cursor = new THREE.Mesh(handCursors[0].geometry, new THREE.MeshBasicMaterial({ color: peer.color }));
+        scene.add(cursor);
+        cursors.push(cursor);
+      }
+      cursors.forEach((cursor, i) => {
+        const cell = peer.cursors[i];
+        cursor.visible = Boolean(cell);
+        if (cell) cursor.position.set(cell.x, cell.y, cell.z).multiplyScalar(tuning.voxelSize);
+      });
+      remoteCursors.set(peer.id, cursors);
+    });
+  }
+
+  // This user's hand cursors (or the mouse in mouse mode) in cells, as the relay shares them
+  function localCursorCells() {
+    const positions = inputMode === 'mouse'
+      ? (pointerInput.isOver ? [mouseDragPos] : [])
+      : handCursors.filter(cursor => cursor.visible).map(cursor => cursor.position);
+    const round = (v) => Math.round(v / tuning.voxelSize * 100) / 100;
+    return positions.map(({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z) }));
+  }
+
+  // --- Hand Roles ---
+
+  function setupHandRoles() {
+    swapHandsButton.addEventListener('click', () => {
+      handRoles.swapped = !handRoles.swapped;
+    });
+    oneHandedButton.addEventListener('click', () => {
+      handRoles.oneHanded = !handRoles.oneHanded;
+    });
+    handRoles.subscribe(updateHandRoleButtons);
+    updateHandRoleButtons();
+  }
+
+  function updateHandRoleButtons() {
+    swapHandsButton.classList.toggle('active', handRoles.swapped);
+    swapHandsButton.disabled = handRoles.oneHanded;
+    oneHandedButton.classList.toggle('active', handRoles.oneHanded);
+  }
+
+  // --- Settings ---
+
+  function setupSettings() {
+    Object.keys(SETTINGS_PRESETS).forEach((name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name[0].toUpperCase() + name.slice(1);
+      settingsPresetSelect.appendChild(option);
+    });
+
+    // One slider per schema field
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+      const row = document.createElement('label');
+      row.className = 'settings-field';
+      row.textContent = field.label;
+
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = field.min;
+      input.max = field.max;
+      input.step = field.step;
+      input.dataset.key = key;
+      input.addEventListener('input', () => {
+        try {
+          settings.set(key, Number(input.value));
+        } catch (error) {
+          showStatusMessage(error.message, "rgba(255, 0, 0, 0.4)");
+          renderSettings();
+        }
+      });
+
+      const value = document.createElement('span');
+      value.className = 'settings-value';
+      value.dataset.key = key;
+
+      row.append(input, value);
+      settingsFields.appendChild(row);
+    });
+
+    settingsButton.addEventListener('click', () => {
+      settingsPanel.hidden = !settingsPanel.hidden;
+      settingsButton.classList.toggle('active', !settingsPanel.hidden);
+    });
+    settingsCloseButton.addEventListener('click', () => {
+      settingsPanel.hidden = true;
+      settingsButton.classList.remove('active');
+    });
+    settingsPresetSelect.addEventListener('change', () => settings.applyPreset(settingsPresetSelect.value));
+    settingsResetButton.addEventListener('click', () => settings.reset());
+    settingsExportButton.addEventListener('click', () => {
+      const json = JSON.stringify(settings.toJSON(), null, 2);
+      downloadBlob(new Blob([json], { type: 'application/json' }), 'voxel-settings.json');
+    });
+    settingsImportButton.addEventListener('click', () => settingsInput.click());
+    settingsInput.addEventListener('change', async () => {
+      const file = settingsInput.files[0];
+      settingsInput.value = '';
+      if (!file) return;
+      try {
+        settings.importJSON(await file.text());
+        showStatusMessage(`Loaded settings from ${file.name}`, "rgba(0, 255, 0, 0.4)");
+      } catch (error) {
+        showStatusMessage(`Could not load ${file.name}: ${error.message}`, "rgba(255, 0, 0, 0.4)");
+      }
+    });
+
+    settings.subscribe(onSettingsChanged);
+    renderSettings();
+  }
+
+  function renderSettings() {
+    settingsFields.querySelectorAll('input').forEach((input) => {
+      input.value = tuning[input.dataset.key];
+    });
+    settingsFields.querySelectorAll('.settings-value').forEach((label) => {
+      label.textContent = String(tuning[label.dataset.key]);
+    });
+    // Show the preset whose values all match, if any
+    const matching = Object.entries(SETTINGS_PRESETS).find(([, preset]) => (
+      Object.entries(SETTINGS_SCHEMA).every(([key, field]) => (
+        isModelSetting(key) || tuning[key] === (key in preset ? preset[key] : field.default)
+      ))
+    ));
+    settingsPresetSelect.value = matching ? matching[0] : '';
+  }
+
+  function onSettingsChanged(changedKeys) {
+    controls.minDistance = tuning.minDistance;
+    controls.maxDistance = tuning.maxDistance;
+    if (changedKeys.includes('voxelSize')) applyVoxelSize();
+    else if (changedKeys.some(key => VOLUME_SETTINGS.includes(key))) applyVolumeSize();
+    renderSettings();
+  }
+
+  // Build volume size in cells per axis, centered at the origin
+  function volumeSize() {
+    return { x: tuning.volumeWidth, y: tuning.volumeHeight, z: tuning.volumeDepth };
+  }
+
+  function rebuildBuildVolume() {
+    const { gridVisible, boundsVisible } = buildVolume;
+    buildVolume.dispose();
+    buildVolume = createBuildVolume(scene, { size: volumeSize(), voxelSize: tuning.voxelSize });
+    setGridVisible(gridVisible);
+    setBoundsVisible(boundsVisible);
+  }
+
+  // Voxels already placed stay put when the volume shrinks; only new edits are bounded
+  function applyVolumeSize() {
+    endPinch(); // A region in progress was clamped to the old bounds
+    rebuildBuildVolume();
+    updateSymmetry();
+    const outside = [...voxelGrid.values()].filter(cell => !buildVolume.contains(cell)).length;
+    if (outside > 0) {
+      showStatusMessage(`${outside} voxels are outside the new build volume`, "rgba(255, 200, 0, 0.4)");
+    }
+  }
+
+  // Rebuilds everything sized in world units. The grid stores cells, so the model itself is kept.
+  function applyVoxelSize() {
+    previewVoxel.scale.setScalar(tuning.voxelSize);
+    selectionHighlight.scale.setScalar(tuning.voxelSize);
+    if (renderedVoxelSize === tuning.voxelSize) return;
+    renderedVoxelSize = tuning.voxelSize;
+
+    endPinch(); // A stroke in progress was measured in the old size
+
+    rebuildBuildVolume();
+
+    voxelRenderer.dispose();
+    voxelRenderer = createVoxelRenderer(scene, voxelGrid, { voxelSize: tuning.voxelSize });
+    updateSymmetry();
+    refreshSelection();
+    scheduleAutosave();
+  }
+
+  // --- Import ---
+
+  function setupImport() {
+    const openPicker = (mode, accept) => {
+      pendingImportMode = mode;
+      importInput.accept = accept;
+      importInput.click();
+    };
+    importVoxButton.addEventListener('click', () => openPicker('vox', '.vox'));
+    importImageButton.addEventListener('click', () => openPicker('pixels', 'image/*'));
+    importHeightmapButton.addEventListener('click', () => openPicker('heightmap', 'image/*'));
+
+    importInput.addEventListener('change', () => {
+      const file = importInput.files[0];
+      importInput.value = ''; // Allow picking the same file again
+      if (file) importFile(file, pendingImportMode);
+    });
+  }
+
+  async function importFile(file, mode) {
+    if (isImporting) {
+      showStatusMessage('An import is already running', "rgba(255, 0, 0, 0.4)");
+      return;
+    }
+    try {
+      let imported;
+      if (mode === 'vox') {
+        imported = parseVox(await file.arrayBuffer(), { fallbackColor: palette.current });
+      } else {
+        const imageData = await loadImageData(file);
+        imported = mode === 'heightmap'
+          ? imageToHeightmapVoxels(imageData, { maxHeight: HEIGHTMAP_MAX_HEIGHT, color: palette.current })
+          : imageToPixelVoxels(imageData);
+      }
+      if (imported.length === 0) throw new ImportError(`${file.name} contains no voxels`);
+      await placeImportedVoxels(imported, file.name);
+    } catch (error) {
+      showStatusMessage(`Could not import ${file.name}: ${error.message}`, "rgba(255, 0, 0, 0.4)");
+    }
+  }
+
+  // Places voxels in batches across frames so large inputs stay responsive, as one undoable stroke
+  function placeImportedVoxels(imported, name) {
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    imported.forEach((v) => {
+      ['x', 'y', 'z'].forEach((axis) => {
+        min[axis] = Math.min(min[axis], v[axis]);
+        max[axis] = Math.max(max[axis], v[axis]);
+      });
+    });
+
+    // Center the model on the orbit target
+    const target = worldToCell(controls.target);
+    const offset = {};
+    ['x', 'y', 'z'].forEach((axis) => {
+      offset[axis] = target[axis] - Math.round((min[axis] + max[axis]) / 2);
+    });
+
+    isImporting = true;
+    history.beginStroke();
+
+    return new Promise((resolve) => {
+      let index = 0;
+      let skipped = 0; // Outside the build volume
+      const placeBatch = () => {
+        if (isDisposed) return;
+        const end = Math.min(index + IMPORT_BATCH_SIZE, imported.length);
+        for (; index < end; index++) {
+          const v = imported[index];
+          const cell = { x: v.x + offset.x, y: v.y + offset.y, z: v.z + offset.z };
+          if (buildVolume.contains(cell)) addVoxel(cellToWorld(cell), v.color, false);
+          else skipped++;
+        }
+
+        if (index < imported.length) {
+          const percent = Math.round((index / imported.length) * 100);
+          showStatusMessage(`Importing ${name}... ${percent}%`, "rgba(0, 128, 255, 0.4)");
+          requestAnimationFrame(placeBatch);
+        } else {
+          history.endStroke();
+          isImporting = false;
+          playSound(blockSound);
+          const placed = imported.length - skipped;
+          if (skipped > 0) {
+            showStatusMessage(`Imported ${placed} voxels from ${name}; ${skippedVoxelsText(skipped)}`, "rgba(255, 200, 0, 0.4)");
+          } else {
+            showStatusMessage(`Imported ${placed} voxels from ${name}`, "rgba(0, 255, 0, 0.4)");
+          }
+          resolve();
+        }
+      };
+      placeBatch();
+    });
+  }
+
+  function showStatusMessage(text, background, duration = STATUS_MESSAGE_DURATION) {
+    statusElement.innerText = text;
+    statusElement.style.background = background;
+    statusMessageUntil = performance.now() + duration;
+  }
+
+  // --- Lifecycle & Public API ---
+
+  function emitVoxelEvent(type, cell) {
+    const voxel = { x: cell.x, y: cell.y, z: cell.z, color: colorToHex(cell.color) };
+    if (type === 'add') emit('voxelAdded', voxel);
+    else if (type === 'remove') emit('voxelRemoved', voxel);
+    else emit('voxelRecolored', voxel);
+  }
+
+  // Stops the loop and releases everything the builder holds outside root: the webcam, the
+  // detection worker, window listeners, the relay connection and the GPU resources
+  function dispose() {
+    if (isDisposed) return;
+    isDisposed = true;
+    endPinch();
+    cancelAnimationFrame(animationFrame);
+    clearTimeout(autosaveTimer);
+    stopTracking();
+    collaboration.disconnect();
+    turntable.stop();
+    if (videoRecorder) videoRecorder.stop();
+    resizeObserver.disconnect();
+    root.removeEventListener('keydown', onKeyDown);
+    root.removeEventListener('pointerdown', focusRoot);
+    pointerInput.dispose();
+    controls.dispose();
+
+    voxelRenderer.dispose();
+    [regionPreview, symmetryGuide, selectionOutline, stampPreview].forEach(part => part.dispose());
+    scene.traverse((object) => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) object.material.dispose();
+    });
+    renderer.dispose();
+    renderer.forceContextLoss();
+  }
+
+  init();
+
+  return {
+    dispose,
+    // Cell coordinates and colors as numbers; VoxelBuilder validates and converts them
+    addVoxel: (cell, color = palette.current) => {
+      if (voxelGrid.has(cell.x, cell.y, cell.z) || !buildVolume.contains(cell)) return false;
+      addVoxel(cellToWorld(cell), color, false);
+      return true;
+    },
+    removeVoxel: (cell) => {
+      if (!voxelGrid.has(cell.x, cell.y, cell.z)) return false;
+      removeVoxel(cellToWorld(cell), false);
+      return true;
+    },
+    // One undoable step, like a region erase
+    clear: () => {
+      endPinch();
+      history.beginStroke();
+      [...voxelGrid.values()].forEach(cell => removeVoxel(cellToWorld(cell), false));
+      history.endStroke();
+    },
+    // Resolves with a PNG blob; options { scale, withCamera }
+    screenshot,
+    getVoxels: () => [...voxelGrid.values()].map(({ x, y, z, color }) => ({ x, y, z, color: colorToHex(color) })),
+    setTool: (tool) => {
+      endPinch();
+      setTool(tool);
+    },
+    save: () => JSON.stringify(currentSceneDocument(), null, 2),
+    get isImporting() {
+      return isImporting;
+    },
+    // Returns how many of the loaded voxels lie outside the build volume
+    load: (input) => {
+      const sceneDoc = parseScene(input);
+      endPinch();
+      return applyScene(sceneDoc);
+    }
+  };
+}
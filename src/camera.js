@@ -0,0 +1,46 @@
+// Webcam access with failures sorted into reasons the UI can explain to the user.
+
+export class CameraError extends Error {
+  // reason: 'unsupported' | 'denied' | 'not-found' | 'busy' | 'unknown'
+  constructor(reason, message) {
+    super(message);
+    this.name = 'CameraError';
+    this.reason = reason;
+  }
+}
+
+function toCameraError(error) {
+  switch (error && error.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return new CameraError('denied', 'Camera permission was denied');
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return new CameraError('not-found', 'No camera was found');
+    case 'NotReadableError':
+    case 'AbortError':
+      return new CameraError('busy', 'The camera is in use by another application');
+    default:
+      return new CameraError('unknown', (error && error.message) || 'The camera could not be started');
+  }
+}
+
+// Streams the webcam into the video element; resolves once frames are available
+export async function openCamera(video) {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    throw new CameraError('unsupported', 'This browser cannot access a camera here (HTTPS or localhost is required)');
+  }
+
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ video: true });
+  } catch (error) {
+    throw toCameraError(error);
+  }
+
+  video.srcObject = stream;
+  if (video.readyState < 1) {
+    await new Promise(resolve => video.addEventListener('loadedmetadata', resolve, { once: true }));
+  }
+  return stream;
+}
@@ -0,0 +1,154 @@
+// Capturing builds to share: high-resolution PNG screenshots, a turntable orbit through the
+// OrbitControls and WebM recordings of the composited view. The view is composited the way the
+// page shows it: the mirrored webcam, the 3D canvas on top, then the mirrored hand overlay.
+
+const MAX_SCREENSHOT_SIZE = 8192; // Longest screenshot side in pixels, within common GPU limits
+const RECORDING_FPS = 30;
+const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const BACKGROUND_COLOR = '#0a0a0a'; // Page background, used when the webcam is left out
+
+export class CaptureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CaptureError';
+  }
+}
+
+// Draws image over the whole canvas like object-fit: cover, optionally mirrored like the page
+function drawCover(ctx, image, imageWidth, imageHeight, { mirrored = false } = {}) {
+  const { width, height } = ctx.canvas;
+  const scale = Math.max(width / imageWidth, height / imageHeight);
+  const drawWidth = imageWidth * scale;
+  const drawHeight = imageHeight * scale;
+  ctx.save();
+  if (mirrored) {
+    ctx.translate(width, 0);
+    ctx.scale(-1, 1);
+  }
+  ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  ctx.restore();
+}
+
+// view: { video, canvas, overlay } - the webcam, the WebGL canvas and the gesture canvas.
+// The WebGL canvas has to be drawn right after rendering, before the browser clears it.
+function drawComposite(ctx, view, withCamera) {
+  const { width, height } = ctx.canvas;
+  if (withCamera && view.video.readyState >= 2) {
+    drawCover(ctx, view.video, view.video.videoWidth, view.video.videoHeight, { mirrored: true });
+  } else {
+    ctx.fillStyle = BACKGROUND_COLOR;
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(view.canvas, 0, 0, width, height);
+  if (withCamera) drawCover(ctx, view.overlay, view.overlay.width, view.overlay.height, { mirrored: true });
+}
+
+function canvasToBlob(canvas, type) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new CaptureError('The screenshot could not be encoded'))), type);
+  });
+}
+
+// Renders one frame at scale times the on-screen resolution and resolves with a PNG blob
+export function captureScreenshot({ renderer, scene, camera, view, scale = 2, withCamera = true }) {
+  const pixelRatio = renderer.getPixelRatio();
+  const { clientWidth, clientHeight } = view.canvas;
+  const ratio = Math.min(pixelRatio * scale, MAX_SCREENSHOT_SIZE / Math.max(clientWidth, clientHeight));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(clientWidth * ratio);
+  canvas.height = Math.round(clientHeight * ratio);
+  try {
+    renderer.setPixelRatio(ratio);
+    renderer.render(scene, camera);
+    drawComposite(canvas.getContext('2d'), view, withCamera);
+  } finally {
+    renderer.setPixelRatio(pixelRatio);
+    renderer.render(scene, camera);
+  }
+  return canvasToBlob(canvas, 'image/png');
+}
+
+// Orbits the camera around its target at a steady rate until stopped or, with revolutions set,
+// until that many full turns are done
+export function createTurntable(controls, { secondsPerTurn = 12 } = {}) {
+  let active = false;
+  let remaining = Infinity; // Radians left to turn
+  let onDone = null;
+
+  const start = ({ revolutions = Infinity, done = null } = {}) => {
+    active = true;
+    remaining = revolutions * Math.PI * 2;
+    onDone = done;
+  };
+
+  const stop = () => {
+    if (!active) return;
+    active = false;
+    const done = onDone;
+    onDone = null;
+    if (done) done();
+  };
+
+  const update = (deltaSeconds) => {
+    if (!active) return;
+    const angle = Math.min((deltaSeconds * Math.PI * 2) / secondsPerTurn, remaining);
+    controls.rotateLeft(angle);
+    remaining -= angle;
+    if (remaining <= 0) stop();
+  };
+
+  return {
+    start,
+    stop,
+    update,
+    get active() {
+      return active;
+    }
+  };
+}
+
+// Records the composited view to WebM. Call frame() after every render while recording.
+export function createVideoRecorder(view, { withCamera = true } = {}) {
+  if (typeof MediaRecorder === 'undefined') {
+    throw new CaptureError('This browser cannot record video (MediaRecorder is not available)');
+  }
+  const mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) throw new CaptureError('This browser cannot record WebM video');
+
+  const canvas = document.createElement('canvas');
+  canvas.width = view.canvas.width;
+  canvas.height = view.canvas.height;
+  const ctx = canvas.getContext('2d');
+  drawComposite(ctx, view, withCamera);
+
+  const stream = canvas.captureStream(RECORDING_FPS);
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  });
+  const stopped = new Promise((resolve) => {
+    recorder.addEventListener('stop', () => resolve(new Blob(chunks, { type: 'video/webm' })));
+  });
+  recorder.start(1000); // Collect data every second so long recordings do not hold one huge buffer
+
+  const frame = () => {
+    if (recorder.state === 'recording') drawComposite(ctx, view, withCamera);
+  };
+
+  // Resolves with the WebM blob
+  const stop = () => {
+    if (recorder.state !== 'inactive') recorder.stop();
+    stream.getTracks().forEach(track => track.stop());
+    return stopped;
+  };
+
+  return {
+    frame,
+    stop,
+    get recording() {
+      return recorder.state === 'recording';
+    }
+  };
+}
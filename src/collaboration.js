@@ -0,0 +1,199 @@
+import { cellKey } from './voxelGrid.js';
+
+// Collaborative building through the relay in scripts/relay.mjs. Local grid changes go out as
+// add/remove/recolor operations; the relay orders the operations of all users, resolves them to
+// cell states and broadcasts them back. Every client applies that one stream, so conflicting edits
+// of a cell end the same everywhere: the one the relay received last wins.
+//
+// Edits show locally right away. While an edit of a cell is waiting for its echo, remote states
+// for that cell are skipped, since the echo comes later in the relay's order and settles it.
+
+const CURSOR_INTERVAL = 50; // Minimum ms between cursor updates sent to the relay
+
+export function createCollaboration(voxelGrid) {
+  let socket = null;
+  let self = null; // { id, name, color } once welcomed
+  let seq = 0; // Last relay batch applied
+  let outbox = [];
+  let lastCursorTime = 0;
+  let lastCursorData = '';
+  let isApplying = false;
+  const pending = new Map(); // cell key -> own operations not yet echoed
+  const peers = new Map(); // id -> { id, name, color, cursors }
+  const listeners = new Set();
+
+  // listener(event) with event 'connected' | 'disconnected' | 'replacing' | 'snapshot' | 'peers' | 'cursors'.
+  // 'replacing' fires while the local model is still intact, right before a room's model replaces it.
+  const emit = (event) => listeners.forEach(listener => listener(event));
+
+  const send = (message) => {
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  const flush = () => {
+    if (outbox.length > 0) send({ type: 'ops', ops: outbox });
+    outbox = [];
+  };
+
+  const queue = (op) => {
+    const key = cellKey(op.x, op.y, op.z);
+    pending.set(key, (pending.get(key) || 0) + 1);
+    // Edits made in one go (a region, an import batch) travel as one message
+    if (outbox.length === 0) queueMicrotask(flush);
+    outbox.push(op);
+  };
+
+  voxelGrid.subscribe((type, cell) => {
+    if (isApplying || !self) return;
+    const { x, y, z } = cell;
+    if (type === 'remove') queue({ op: 'remove', x, y, z });
+    else queue({ op: type === 'add' ? 'add' : 'recolor', x, y, z, color: cell.color });
+  });
+
+  const applyState = ({ x, y, z, color }) => {
+    if (color === null) {
+      voxelGrid.remove(x, y, z);
+    } else {
+      const cell = voxelGrid.get(x, y, z);
+      if (!cell || cell.color !== color) voxelGrid.set(x, y, z, { color });
+    }
+  };
+
+  const applyOps = (message) => {
+    const isOwn = message.from === self.id;
+    seq = message.seq;
+    isApplying = true;
+    try {
+      message.ops.forEach((state) => {
+        const key = cellKey(state.x, state.y, state.z);
+        if (isOwn) {
+          const count = pending.get(key) - 1;
+          if (count > 0) {
+            pending.set(key, count);
+            return; // A newer local edit of this cell is still on its way
+          }
+          pending.delete(key);
+        } else if (pending.has(key)) {
+          return;
+        }
+        applyState(state);
+      });
+    } finally {
+      isApplying = false;
+    }
+  };
+
+  const onWelcome = (message) => {
+    self = { id: message.id, name: message.name, color: message.color };
+    seq = message.seq;
+    message.peers.forEach(peer => peers.set(peer.id, { ...peer, cursors: [] }));
+    if (message.voxels.length > 0) {
+      // Joining a room with a model: take it over
+      if (voxelGrid.size > 0) emit('replacing');
+      isApplying = true;
+      try {
+        voxelGrid.clear();
+        message.voxels.forEach(applyState);
+      } finally {
+        isApplying = false;
+      }
+      emit('snapshot');
+    } else {
+      // First one in: the local model becomes the room's
+      voxelGrid.forEach(cell => queue({ op: 'add', x: cell.x, y: cell.y, z: cell.z, color: cell.color }));
+    }
+    emit('connected');
+    emit('peers');
+  };
+
+  const onMessage = (message) => {
+    if (message.type === 'welcome') {
+      onWelcome(message);
+    } else if (!self) {
+      // Nothing applies before the welcome
+    } else if (message.type === 'ops') {
+      applyOps(message);
+    } else if (message.type === 'cursor') {
+      const peer = peers.get(message.id);
+      if (!peer) return;
+      peer.cursors = message.cursors;
+      emit('cursors');
+    } else if (message.type === 'peer-joined') {
+      peers.set(message.peer.id, { ...message.peer, cursors: [] });
+      emit('peers');
+    } else if (message.type === 'peer-left') {
+      peers.delete(message.id);
+      emit('peers');
+    }
+  };
+
+  const reset = () => {
+    socket = null;
+    self = null;
+    outbox = [];
+    lastCursorData = '';
+    pending.clear();
+    peers.clear();
+  };
+
+  const connect = (url, name = 'Guest') => {
+    if (socket) return;
+    socket = new WebSocket(url);
+    socket.addEventListener('open', () => send({ type: 'hello', name }));
+    socket.addEventListener('message', ({ data }) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        return;
+      }
+      onMessage(message);
+    });
+    socket.addEventListener('close', () => {
+      reset();
+      emit('disconnected');
+      emit('peers');
+    });
+  };
+
+  const disconnect = () => {
+    if (socket) socket.close();
+  };
+
+  // Shares this user's cursor positions (in cells); throttled, and only sent when they change
+  const sendCursors = (cursors, now) => {
+    if (!self || now - lastCursorTime < CURSOR_INTERVAL) return;
+    const data = JSON.stringify(cursors);
+    if (data === lastCursorData) return;
+    lastCursorTime = now;
+    lastCursorData = data;
+    send({ type: 'cursor', cursors });
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    connect,
+    disconnect,
+    sendCursors,
+    subscribe,
+    get isConnecting() {
+      return socket !== null && !self;
+    },
+    get isConnected() {
+      return self !== null;
+    },
+    get self() {
+      return self;
+    },
+    get peers() {
+      return [...peers.values()];
+    },
+    get seq() {
+      return seq;
+    }
+  };
+}
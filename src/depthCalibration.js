@@ -0,0 +1,127 @@
+// Depth mapping from apparent hand size to scene distance, and the wizard that calibrates it.
+// distance = handScale * scale + offset + landmark.z * zScale, where handScale is the 2D
+// wrist-to-middle-MCP distance. A bigger (closer) hand maps further into the scene.
+
+export const DEFAULT_DEPTH_MAPPING = { scale: 25, offset: 2, zScale: 10 };
+
+// Scene distances (from the camera) the calibration poses should map to
+export const CALIBRATION_TARGETS = { far: 4, middle: 8, near: 12 };
+
+const STEPS = [
+  { id: 'near', prompt: 'Hold your hand close to the camera' },
+  { id: 'far', prompt: 'Hold your hand far from the camera' },
+  { id: 'middle', prompt: 'Hold your hand at a comfortable middle distance' }
+];
+const MIN_SCALE_SPREAD = 0.03; // Near and far must differ at least this much in hand scale
+
+export class CalibrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalibrationError';
+  }
+}
+
+export function handScaleOf(landmarks) {
+  const wrist = landmarks[0];
+  const mcp = landmarks[9];
+  return Math.sqrt(Math.pow(wrist.x - mcp.x, 2) + Math.pow(wrist.y - mcp.y, 2));
+}
+
+// Least-squares line through the three (handScale, target distance) pairs
+export function fitDepthMapping(samples, targets = CALIBRATION_TARGETS) {
+  if (samples.near - samples.far < MIN_SCALE_SPREAD) {
+    throw new CalibrationError('Near and far hand positions were too similar. Move your hand further between them.');
+  }
+  if (samples.middle <= samples.far || samples.middle >= samples.near) {
+    throw new CalibrationError('The middle position must lie between near and far.');
+  }
+
+  const points = ['far', 'middle', 'near'].map(id => [samples[id], targets[id]]);
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+  let covariance = 0;
+  let variance = 0;
+  points.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    variance += (x - meanX) * (x - meanX);
+  });
+
+  const scale = covariance / variance;
+  const offset = meanY - scale * meanX;
+  // Relative landmark depth keeps the default proportion to the hand-scale term
+  const zScale = scale * (DEFAULT_DEPTH_MAPPING.zScale / DEFAULT_DEPTH_MAPPING.scale);
+  return { scale, offset, zScale };
+}
+
+const isMapping = (value) => value && ['scale', 'offset', 'zScale'].every(k => Number.isFinite(value[k]));
+
+export function loadDepthMapping(storageKey) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    if (isMapping(saved)) return saved;
+  } catch {
+    // Fall back to the default mapping
+  }
+  return { ...DEFAULT_DEPTH_MAPPING };
+}
+
+export function saveDepthMapping(storageKey, mapping) {
+  localStorage.setItem(storageKey, JSON.stringify(mapping));
+}
+
+// Guided near/far/middle capture. Each step waits prepareTime for the user to move, then
+// collects sampleCount hand-scale readings (frames without a hand do not count).
+export function createCalibrationWizard({ prepareTime = 2000, sampleCount = 30 } = {}) {
+  let stepIndex = 0;
+  let phaseStart = 0;
+  let phase = 'prepare';
+  let readings = [];
+  const samples = {};
+
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  };
+
+  const start = (now) => {
+    stepIndex = 0;
+    phase = 'prepare';
+    phaseStart = now;
+    readings = [];
+  };
+
+  // Feed one frame; handScale is null when no hand is visible
+  const update = (handScale, now) => {
+    const step = STEPS[stepIndex];
+
+    if (phase === 'prepare') {
+      const progress = Math.min((now - phaseStart) / prepareTime, 1);
+      if (progress >= 1) {
+        phase = 'sample';
+        readings = [];
+      }
+      return { state: 'running', step: stepIndex + 1, steps: STEPS.length, prompt: step.prompt, phase: 'prepare', progress };
+    }
+
+    if (handScale !== null) readings.push(handScale);
+    if (readings.length < sampleCount) {
+      return { state: 'running', step: stepIndex + 1, steps: STEPS.length, prompt: step.prompt, phase: 'sample', progress: readings.length / sampleCount };
+    }
+
+    samples[step.id] = median(readings);
+    stepIndex++;
+    if (stepIndex < STEPS.length) {
+      phase = 'prepare';
+      phaseStart = now;
+      return update(handScale, now);
+    }
+
+    try {
+      return { state: 'done', mapping: fitDepthMapping(samples) };
+    } catch (error) {
+      return { state: 'failed', error };
+    }
+  };
+
+  return { start, update };
+}
@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { forEachVisibleFace, buildVoxelGeometry } from './voxelMesh.js';
+
+// Exporters for the placed voxels.
+// All of them read the voxel grid directly, so they never depend on what is currently rendered.
+
+const VOX_VERSION = 150;
+const VOX_MAX_DIMENSION = 256;
+const VOX_MAX_COLORS = 255; // Palette index 0 is reserved for empty
+
+function gridBounds(grid) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  grid.forEach((cell) => {
+    [cell.x, cell.y, cell.z].forEach((v, axis) => {
+      min[axis] = Math.min(min[axis], v);
+      max[axis] = Math.max(max[axis], v);
+    });
+  });
+  return { min, max };
+}
+
+function requireVoxels(grid) {
+  if (grid.size === 0) throw new Error('Nothing to export: the scene has no voxels');
+}
+
+// --- MagicaVoxel .vox ---
+
+// MagicaVoxel is Z-up, so (x, y, z) in the scene maps to (x, -z, y) in the model
+export function exportVox(grid) {
+  requireVoxels(grid);
+  const { min, max } = gridBounds(grid);
+  const size = [max[0] - min[0] + 1, max[2] - min[2] + 1, max[1] - min[1] + 1];
+  if (size.some(v => v > VOX_MAX_DIMENSION)) {
+    throw new Error(`Model is ${size.join('x')} voxels; .vox supports at most ${VOX_MAX_DIMENSION} per axis`);
+  }
+
+  const palette = new Map(); // color -> palette index (1-based)
+  const voxels = [];
+  grid.forEach((cell) => {
+    if (!palette.has(cell.color)) {
+      if (palette.size === VOX_MAX_COLORS) {
+        throw new Error(`Model uses more than ${VOX_MAX_COLORS} colors, which .vox cannot store`);
+      }
+      palette.set(cell.color, palette.size + 1);
+    }
+    voxels.push([cell.x - min[0], max[2] - cell.z, cell.y - min[1], palette.get(cell.color)]);
+  });
+
+  const sizeChunkLength = 12 + 12;
+  const xyziChunkLength = 12 + 4 + voxels.length * 4;
+  const rgbaChunkLength = 12 + 256 * 4;
+  const childrenLength = sizeChunkLength + xyziChunkLength + rgbaChunkLength;
+
+  const buffer = new ArrayBuffer(8 + 12 + childrenLength);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let offset = 0;
+
+  const writeId = (id) => {
+    for (let i = 0; i < 4; i++) bytes[offset++] = id.charCodeAt(i);
+  };
+  const writeInt = (value) => {
+    view.setInt32(offset, value, true);
+    offset += 4;
+  };
+  const writeChunkHeader = (id, contentLength, childrenLength = 0) => {
+    writeId(id);
+    writeInt(contentLength);
+    writeInt(childrenLength);
+  };
+
+  writeId('VOX ');
+  writeInt(VOX_VERSION);
+  writeChunkHeader('MAIN', 0, childrenLength);
+
+  writeChunkHeader('SIZE', 12);
+  size.forEach(writeInt);
+
+  writeChunkHeader('XYZI', 4 + voxels.length * 4);
+  writeInt(voxels.length);
+  voxels.forEach((voxel) => {
+    bytes.set(voxel, offset);
+    offset += 4;
+  });
+
+  // Palette entry i holds color index i + 1; unused entries stay black
+  writeChunkHeader('RGBA', 256 * 4);
+  palette.forEach((index, color) => {
+    const entry = offset + (index - 1) * 4;
+    bytes[entry] = (color >> 16) & 0xff;
+    bytes[entry + 1] = (color >> 8) & 0xff;
+    bytes[entry + 2] = color & 0xff;
+    bytes[entry + 3] = 0xff;
+  });
+
+  return bytes;
+}
+
+// --- Binary glTF ---
+
+export function exportGlb(grid, voxelSize) {
+  requireVoxels(grid);
+  const geometry = buildVoxelGeometry(grid.values(), grid, voxelSize);
+  const material = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.3, metalness: 0.1 });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = 'Voxels';
+
+  return new GLTFExporter().parseAsync(mesh, { binary: true }).finally(() => {
+    geometry.dispose();
+    material.dispose();
+  });
+}
+
+// --- OBJ / MTL ---
+
+const materialName = (color) => `color_${color.toString(16).padStart(6, '0')}`;
+
+export function exportObj(grid, voxelSize, mtlFileName = 'voxels.mtl') {
+  requireVoxels(grid);
+  const vertexLines = [];
+  const facesByColor = new Map();
+  const normals = [];
+  const normalIndex = new Map();
+  let vertexCount = 0;
+
+  forEachVisibleFace(grid.values(), grid, (cell, face, corners) => {
+    const normalKey = face.dir.join(' ');
+    if (!normalIndex.has(normalKey)) {
+      normals.push(`vn ${normalKey}`);
+      normalIndex.set(normalKey, normals.length);
+    }
+    const n = normalIndex.get(normalKey);
+
+    corners.forEach((corner) => {
+      vertexLines.push(`v ${corner.map(v => (v - 0.5) * voxelSize).join(' ')}`);
+    });
+    const indices = [1, 2, 3, 4].map(i => `${vertexCount + i}//${n}`);
+    vertexCount += 4;
+
+    if (!facesByColor.has(cell.color)) facesByColor.set(cell.color, []);
+    facesByColor.get(cell.color).push(`f ${indices.join(' ')}`);
+  });
+
+  let obj = [`mtllib ${mtlFileName}`, 'o Voxels', ...vertexLines, ...normals];
+  const mtl = [];
+  facesByColor.forEach((faces, color) => {
+    obj = obj.concat(`usemtl ${materialName(color)}`, faces);
+
+    const rgb = [(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff].map(v => (v / 255).toFixed(4));
+    mtl.push(`newmtl ${materialName(color)}`, `Kd ${rgb.join(' ')}`, 'Ka 0 0 0', 'Ks 0 0 0', 'd 1', 'illum 1', '');
+  });
+
+  return { obj: obj.join('\n') + '\n', mtl: mtl.join('\n') };
+}
@@ -0,0 +1,92 @@
+// Gesture recognition from MediaPipe hand landmarks.
+// Every finger gets one extension value per frame, computed from the 3D bend angles along the
+// finger so it does not depend on hand size, distance or rotation. Poses are declared as
+// required finger states and scored against those values; a tracker adds hysteresis.
+
+export const FINGERS = {
+  thumb: [0, 1, 2, 3, 4],
+  index: [0, 5, 6, 7, 8],
+  middle: [0, 9, 10, 11, 12],
+  ring: [0, 13, 14, 15, 16],
+  pinky: [0, 17, 18, 19, 20]
+};
+
+// Total bend (radians) at which a finger counts as fully straight / fully curled
+export const BEND_RANGE = {
+  thumb: { straight: 0.6, curled: 1.8 },
+  index: { straight: 0.4, curled: 2.8 },
+  middle: { straight: 0.4, curled: 2.8 },
+  ring: { straight: 0.4, curled: 2.8 },
+  pinky: { straight: 0.4, curled: 2.8 }
+};
+
+// Each pose lists the fingers it constrains; unlisted fingers are ignored
+export const POSE_DEFINITIONS = {
+  fist: { index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' },
+  pointing: { index: 'extended', middle: 'curled', ring: 'curled', pinky: 'curled' },
+  threeFinger: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'curled', pinky: 'curled' },
+  tilting: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'extended', pinky: 'curled' },
+  grip: { thumb: 'extended', middle: 'curled', ring: 'curled', pinky: 'extended' },
+  openPalm: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'extended', pinky: 'extended' },
+  victory: { thumb: 'curled', index: 'extended', middle: 'extended', ring: 'curled', pinky: 'curled' }
+};
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+function angleBetween(a, b, c, d) {
+  // Angle between segments a->b and c->d
+  const ux = b.x - a.x, uy = b.y - a.y, uz = b.z - a.z;
+  const vx = d.x - c.x, vy = d.y - c.y, vz = d.z - c.z;
+  const lengths = Math.hypot(ux, uy, uz) * Math.hypot(vx, vy, vz);
+  if (lengths === 0) return 0;
+  return Math.acos(Math.min(1, Math.max(-1, (ux * vx + uy * vy + uz * vz) / lengths)));
+}
+
+// Returns { thumb: { bend, extension }, index: ..., ... } with extension in [0, 1]
+export function computeFingerStates(landmarks) {
+  const states = {};
+  Object.entries(FINGERS).forEach(([finger, chain]) => {
+    let bend = 0;
+    for (let i = 0; i < chain.length - 2; i++) {
+      const [a, b, c] = [landmarks[chain[i]], landmarks[chain[i + 1]], landmarks[chain[i + 2]]];
+      bend += angleBetween(a, b, b, c);
+    }
+    const { straight, curled } = BEND_RANGE[finger];
+    states[finger] = { bend, extension: clamp01(1 - (bend - straight) / (curled - straight)) };
+  });
+  return states;
+}
+
+// Confidence in [0, 1] that the finger states match the pose (the weakest finger decides)
+export function scorePose(fingerStates, definition) {
+  let confidence = 1;
+  Object.entries(definition).forEach(([finger, required]) => {
+    const extension = fingerStates[finger].extension;
+    confidence = Math.min(confidence, required === 'extended' ? extension : 1 - extension);
+  });
+  return confidence;
+}
+
+// Tracks the poses of one hand across frames. A pose turns active once its confidence
+// reaches enterThreshold and stays active until it falls below exitThreshold.
+export function createPoseTracker({ poses = POSE_DEFINITIONS, enterThreshold = 0.7, exitThreshold = 0.5 } = {}) {
+  let active = {};
+
+  const update = (landmarks) => {
+    const fingers = computeFingerStates(landmarks);
+    const confidence = {};
+    const nextActive = {};
+    Object.entries(poses).forEach(([name, definition]) => {
+      confidence[name] = scorePose(fingers, definition);
+      nextActive[name] = confidence[name] >= (active[name] ? exitThreshold : enterThreshold);
+    });
+    active = nextActive;
+    return { fingers, confidence, active };
+  };
+
+  const reset = () => {
+    active = {};
+  };
+
+  return { update, reset };
+}
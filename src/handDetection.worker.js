@@ -0,0 +1,64 @@
+import { HandLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+
+// Runs the HandLandmarker off the main thread. The page posts webcam frames as ImageBitmaps
+// and gets plain landmark results back, so inference never blocks rendering.
+//
+// Messages in:  { type: 'init', wasmPath, modelAssetPath, delegate, numHands }
+//               { type: 'detect', frame: ImageBitmap, timestamp }
+// Messages out: { type: 'ready' } | { type: 'error', message }
+//               { type: 'result', results, timestamp, latency }
+
+// The wasm loader is a classic script that sets self.ModuleFactory. Module workers have no
+// importScripts, and tasks-vision falls back to self.import, so import the ES module copy that
+// npm run assets writes next to it (evaluating the script itself would need unsafe-eval).
+self.import = async (url) => {
+  const { default: moduleFactory } = await import(/* @vite-ignore */ url.replace(/\.js$/, '.mjs'));
+  self.ModuleFactory = moduleFactory;
+};
+
+let handLandmarker = null;
+
+async function init({ wasmPath, modelAssetPath, delegate, numHands }) {
+  const vision = await FilesetResolver.forVisionTasks(wasmPath);
+  handLandmarker = await HandLandmarker.createFromOptions(vision, {
+    baseOptions: { modelAssetPath, delegate },
+    runningMode: 'VIDEO',
+    numHands
+  });
+}
+
+function detect(frame, timestamp) {
+  const start = performance.now();
+  try {
+    const detected = handLandmarker.detectForVideo(frame, timestamp);
+    self.postMessage({
+      type: 'result',
+      results: { landmarks: detected.landmarks, handedness: detected.handedness },
+      timestamp,
+      latency: performance.now() - start
+    });
+  } finally {
+    frame.close();
+  }
+}
+
+self.addEventListener('message', async ({ data }) => {
+  if (data.type === 'init') {
+    try {
+      await init(data);
+      self.postMessage({ type: 'ready' });
+    } catch (error) {
+      self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+  } else if (data.type === 'detect') {
+    if (!handLandmarker) {
+      data.frame.close();
+      return;
+    }
+    try {
+      detect(data.frame, data.timestamp);
+    } catch (error) {
+      self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+  }
+});
@@ -0,0 +1,104 @@
+// Main-thread side of the detection worker. Frames are grabbed as ImageBitmaps and handed to
+// the worker one at a time: while a frame is in flight new webcam frames are skipped, so the
+// detection rate adapts to inference speed instead of holding up rendering.
+
+export class DetectorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DetectorError';
+  }
+}
+
+export function createHandDetector({ wasmPath, modelAssetPath, delegate = 'GPU', numHands = 2 }) {
+  const worker = new Worker(new URL('./handDetection.worker.js', import.meta.url), { type: 'module' });
+  const listeners = new Set();
+  let busy = false;
+  let readyResolve, readyReject;
+  let isReady = false;
+
+  const ready = new Promise((resolve, reject) => {
+    readyResolve = resolve;
+    readyReject = reject;
+  });
+
+  worker.addEventListener('message', ({ data }) => {
+    if (data.type === 'ready') {
+      isReady = true;
+      readyResolve();
+    } else if (data.type === 'result') {
+      busy = false;
+      listeners.forEach(listener => listener(data.results, data));
+    } else if (data.type === 'error') {
+      busy = false;
+      if (!isReady) readyReject(new DetectorError(data.message));
+      else console.warn('Hand detection failed:', data.message);
+    }
+  });
+  worker.addEventListener('error', (event) => {
+    busy = false;
+    if (!isReady) readyReject(new DetectorError(event.message || 'Detection worker failed to start'));
+  });
+
+  // The worker resolves relative URLs against its own script, so send absolute ones
+  worker.postMessage({
+    type: 'init',
+    wasmPath: new URL(wasmPath, document.baseURI).href,
+    modelAssetPath: new URL(modelAssetPath, document.baseURI).href,
+    delegate,
+    numHands
+  });
+
+  // Sends the current video frame unless one is still being processed; returns whether it did
+  const detect = async (video, timestamp) => {
+    if (!isReady || busy) return false;
+    busy = true;
+    try {
+      const frame = await createImageBitmap(video);
+      worker.postMessage({ type: 'detect', frame, timestamp }, [frame]);
+      return true;
+    } catch (error) {
+      busy = false;
+      throw error;
+    }
+  };
+
+  // listener(results, { timestamp, latency })
+  const onResults = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const dispose = () => {
+    listeners.clear();
+    worker.terminate();
+  };
+
+  return {
+    ready,
+    delegate,
+    detect,
+    onResults,
+    dispose,
+    get busy() {
+      return busy;
+    }
+  };
+}
+
+// Starts a detector on the first delegate that initializes. The GPU delegate is not available
+// everywhere (no WebGL2 in workers, blocklisted drivers), so the CPU follows as a fallback.
+export async function startHandDetector(options, delegates = ['GPU', 'CPU']) {
+  let lastError = null;
+  for (const delegate of delegates) {
+    const detector = createHandDetector({ ...options, delegate });
+    try {
+      await detector.ready;
+      return detector;
+    } catch (error) {
+      detector.dispose();
+      lastError = error;
+      console.warn(`Hand detection with the ${delegate} delegate failed:`, error);
+    }
+  }
+  throw lastError;
+}
@@ -0,0 +1,104 @@
+// Which hand builds and which one navigates the camera.
+// Two-handed: roles follow MediaPipe handedness, optionally swapped for left-handed users.
+// One-handed: the single tracked hand has one role at a time, and holding the switch pose
+// toggles between build and navigate.
+
+export const SWITCH_POSE = 'victory';
+
+const DEFAULT_CONFIG = { swapped: false, oneHanded: false };
+
+export function createHandRoles({ storageKey = null, switchHoldTime = 600 } = {}) {
+  const config = { ...DEFAULT_CONFIG };
+  let oneHandedRole = 'build';
+  let switchPoseSince = null;
+  let switchConsumed = false; // The pose must be released before it switches again
+  const listeners = new Set();
+
+  if (storageKey) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey));
+      if (saved && typeof saved === 'object') {
+        Object.keys(DEFAULT_CONFIG).forEach((key) => {
+          if (typeof saved[key] === 'boolean') config[key] = saved[key];
+        });
+      }
+    } catch {
+      // Keep the default right-handed, two-handed mapping
+    }
+  }
+
+  const emit = () => listeners.forEach(listener => listener());
+
+  const configure = (changes) => {
+    Object.assign(config, changes);
+    if (storageKey) localStorage.setItem(storageKey, JSON.stringify(config));
+    oneHandedRole = 'build';
+    switchPoseSince = null;
+    switchConsumed = false;
+    emit();
+  };
+
+  // Role for a hand given its handedness label ('Left' | 'Right')
+  const roleOf = (label) => {
+    if (config.oneHanded) return oneHandedRole;
+    const buildHand = config.swapped ? 'Left' : 'Right';
+    return label === buildHand ? 'build' : 'navigate';
+  };
+
+  // Handedness label of the hand holding a role in two-handed mode
+  const handFor = (role) => {
+    const buildHand = config.swapped ? 'Left' : 'Right';
+    const navigateHand = config.swapped ? 'Right' : 'Left';
+    return role === 'build' ? buildHand : navigateHand;
+  };
+
+  // Feed the active poses of the one-handed hand each frame; returns true on the frame the role flips
+  const updateSwitch = (activePoses, now) => {
+    if (!config.oneHanded || !activePoses[SWITCH_POSE]) {
+      switchPoseSince = null;
+      switchConsumed = false;
+      return false;
+    }
+    if (switchPoseSince === null) switchPoseSince = now;
+    if (switchConsumed || now - switchPoseSince < switchHoldTime) return false;
+    switchConsumed = true;
+    oneHandedRole = oneHandedRole === 'build' ? 'navigate' : 'build';
+    emit();
+    return true;
+  };
+
+  const describe = () => {
+    if (config.oneHanded) {
+      return `One-handed: ${oneHandedRole === 'build' ? 'Build' : 'Navigate'} mode (hold ✌ to switch)`;
+    }
+    return `${handFor('build')} hand builds, ${handFor('navigate')} hand navigates`;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    roleOf,
+    handFor,
+    updateSwitch,
+    describe,
+    subscribe,
+    get swapped() {
+      return config.swapped;
+    },
+    set swapped(value) {
+      configure({ swapped: value });
+    },
+    get oneHanded() {
+      return config.oneHanded;
+    },
+    set oneHanded(value) {
+      configure({ oneHanded: value });
+    },
+    get isSwitching() {
+      return switchPoseSince !== null && !switchConsumed;
+    }
+  };
+}
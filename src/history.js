@@ -0,0 +1,75 @@
+// Undo/redo history of scene edits.
+// Edits are grouped into strokes so a whole pinch drag is undone as one unit.
+export function createHistory(limit = 100) {
+  const undoStack = [];
+  const redoStack = [];
+  let pendingStroke = null;
+  let isApplying = false;
+
+  const push = (stroke) => {
+    undoStack.push(stroke);
+    if (undoStack.length > limit) undoStack.shift();
+    redoStack.length = 0;
+  };
+
+  const beginStroke = () => {
+    endStroke();
+    pendingStroke = [];
+  };
+
+  const endStroke = () => {
+    if (pendingStroke && pendingStroke.length > 0) push(pendingStroke);
+    pendingStroke = null;
+  };
+
+  const record = (edit) => {
+    // Edits made while undoing/redoing are replays, not new history
+    if (isApplying) return;
+    if (pendingStroke) pendingStroke.push(edit);
+    else push([edit]);
+  };
+
+  const replay = (stroke, apply) => {
+    isApplying = true;
+    try {
+      stroke.forEach(apply);
+    } finally {
+      isApplying = false;
+    }
+  };
+
+  const undo = (revert) => {
+    endStroke();
+    const stroke = undoStack.pop();
+    if (!stroke) return false;
+    replay([...stroke].reverse(), revert);
+    redoStack.push(stroke);
+    return true;
+  };
+
+  const redo = (apply) => {
+    endStroke();
+    const stroke = redoStack.pop();
+    if (!stroke) return false;
+    replay(stroke, apply);
+    undoStack.push(stroke);
+    return true;
+  };
+
+  const clear = () => {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    pendingStroke = null;
+  };
+
+  return {
+    beginStroke,
+    endStroke,
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: () => undoStack.length > 0 || (pendingStroke !== null && pendingStroke.length > 0),
+    canRedo: () => redoStack.length > 0
+  };
+}
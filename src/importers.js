@@ -0,0 +1,141 @@
+// Importers that turn external files into lists of voxels ({ x, y, z, color }).
+// They only decode; placing the voxels into the scene is up to the caller.
+
+export const MAX_IMPORT_VOXELS = 200000;
+export const MAX_IMAGE_SIZE = 256; // Max pixels per side for pixel-art and heightmaps
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+function checkVoxelCount(count) {
+  if (count > MAX_IMPORT_VOXELS) {
+    throw new ImportError(`Model has ${count} voxels; the import limit is ${MAX_IMPORT_VOXELS}`);
+  }
+}
+
+// --- MagicaVoxel .vox ---
+
+// Reads the first model of a .vox file. MagicaVoxel is Z-up, so (x, y, z) in the
+// file maps to (x, z, -y) in the scene (the inverse of the exporter's mapping).
+// Files without an RGBA chunk get fallbackColor for every voxel, as do voxels with the
+// color index 0, which has no palette entry.
+export function parseVox(arrayBuffer, { fallbackColor = 0xffffff } = {}) {
+  const view = new DataView(arrayBuffer);
+  const readId = (offset) => String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+  );
+
+  if (arrayBuffer.byteLength < 20 || readId(0) !== 'VOX ') {
+    throw new ImportError('File is not a MagicaVoxel .vox model');
+  }
+  if (readId(8) !== 'MAIN') {
+    throw new ImportError('.vox file has no MAIN chunk');
+  }
+
+  let xyzi = null;
+  let palette = null;
+  let offset = 20 + view.getInt32(12, true); // Skip MAIN content, walk its children
+
+  while (offset + 12 <= arrayBuffer.byteLength) {
+    const id = readId(offset);
+    const contentLength = view.getInt32(offset + 4, true);
+    const childrenLength = view.getInt32(offset + 8, true);
+    const content = offset + 12;
+    if (content + contentLength > arrayBuffer.byteLength) {
+      throw new ImportError(`.vox chunk ${id} is truncated`);
+    }
+
+    if (id === 'XYZI' && !xyzi) {
+      xyzi = { offset: content + 4, count: view.getInt32(content, true) };
+      if (content + 4 + xyzi.count * 4 > arrayBuffer.byteLength) {
+        throw new ImportError('.vox voxel data is truncated');
+      }
+    } else if (id === 'RGBA') {
+      palette = [];
+      for (let i = 0; i < 256; i++) {
+        const entry = content + i * 4;
+        palette.push((view.getUint8(entry) << 16) | (view.getUint8(entry + 1) << 8) | view.getUint8(entry + 2));
+      }
+    }
+    offset = content + contentLength + childrenLength;
+  }
+
+  if (!xyzi) throw new ImportError('.vox file contains no voxels');
+  checkVoxelCount(xyzi.count);
+
+  const voxels = [];
+  for (let i = 0; i < xyzi.count; i++) {
+    const entry = xyzi.offset + i * 4;
+    const colorIndex = view.getUint8(entry + 3);
+    voxels.push({
+      x: view.getUint8(entry),
+      y: view.getUint8(entry + 2),
+      z: -view.getUint8(entry + 1),
+      color: palette && colorIndex > 0 ? palette[colorIndex - 1] : fallbackColor
+    });
+  }
+  return voxels;
+}
+
+// --- Images ---
+
+export async function loadImageData(file) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new ImportError(`${file.name} is not a readable image`);
+  }
+  if (bitmap.width > MAX_IMAGE_SIZE || bitmap.height > MAX_IMAGE_SIZE) {
+    bitmap.close();
+    throw new ImportError(`Image is ${bitmap.width}x${bitmap.height}; the limit is ${MAX_IMAGE_SIZE}x${MAX_IMAGE_SIZE} pixels`);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// One voxel per opaque pixel, standing upright in the XY plane
+export function imageToPixelVoxels(imageData) {
+  const { width, height, data } = imageData;
+  const voxels = [];
+  for (let py = 0; py < height; py++) {
+    for (let px = 0; px < width; px++) {
+      const i = (py * width + px) * 4;
+      if (data[i + 3] < 128) continue; // Transparent
+      voxels.push({ x: px, y: height - 1 - py, z: 0, color: (data[i] << 16) | (data[i + 1] << 8) | data[i + 2] });
+    }
+  }
+  return voxels;
+}
+
+// Brightness of each pixel becomes the height of a voxel column on the XZ plane
+export function imageToHeightmapVoxels(imageData, { maxHeight = 16, color = 0xffffff } = {}) {
+  const { width, height, data } = imageData;
+  let total = 0;
+  const heights = [];
+  for (let i = 0; i < width * height; i++) {
+    const luminance = 0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2];
+    const columnHeight = Math.max(1, Math.round((luminance / 255) * maxHeight));
+    heights.push(columnHeight);
+    total += columnHeight;
+  }
+  checkVoxelCount(total);
+
+  const voxels = [];
+  heights.forEach((columnHeight, i) => {
+    const x = i % width;
+    const z = Math.floor(i / width);
+    for (let y = 0; y < columnHeight; y++) voxels.push({ x, y, z, color });
+  });
+  return voxels;
+}
@@ -0,0 +1,143 @@
+// Landmark smoothing for HandLandmarker results.
+// Each landmark coordinate runs through a One Euro filter (low-pass whose cutoff rises with
+// speed, so slow movement is steady and fast movement stays responsive), and a hand that
+// vanishes for a few frames is held at its last position instead of disappearing.
+// When detection runs slower than rendering, an interpolator fills the frames in between.
+
+const handLabel = (results, handIdx) => {
+  const category = results.handedness[handIdx] && results.handedness[handIdx][0];
+  return category ? (category.categoryName || category.label) : 'Right';
+};
+
+const smoothingFactor = (cutoff, dt) => {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+};
+
+export function createOneEuroFilter({ minCutoff = 1.0, beta = 0.0, dCutoff = 1.0 } = {}) {
+  let lastValue = null;
+  let lastDerivative = 0;
+  let lastTime = 0;
+
+  const filter = (value, time) => {
+    if (lastValue === null) {
+      lastValue = value;
+      lastTime = time;
+      return value;
+    }
+    const dt = Math.max((time - lastTime) / 1000, 1e-3);
+    lastTime = time;
+
+    const derivative = (value - lastValue) / dt;
+    lastDerivative += smoothingFactor(dCutoff, dt) * (derivative - lastDerivative);
+
+    const cutoff = minCutoff + beta * Math.abs(lastDerivative);
+    lastValue += smoothingFactor(cutoff, dt) * (value - lastValue);
+    return lastValue;
+  };
+
+  return { filter };
+}
+
+export function createLandmarkSmoother({ minCutoff = 1.5, beta = 10.0, dCutoff = 1.0, maxDropoutFrames = 2, maxHands = 2 } = {}) {
+  const hands = new Map(); // hand key -> { filters, landmarks, handedness, missingFrames }
+
+  const createHandFilters = () => Array.from({ length: 21 }, () => ({
+    x: createOneEuroFilter({ minCutoff, beta, dCutoff }),
+    y: createOneEuroFilter({ minCutoff, beta, dCutoff }),
+    z: createOneEuroFilter({ minCutoff, beta, dCutoff })
+  }));
+
+  // Returns a results object in the HandLandmarker shape with filtered and held hands
+  const process = (results, time) => {
+    const landmarks = [];
+    const handedness = [];
+    const seen = new Set();
+
+    (results.landmarks || []).forEach((hand, handIdx) => {
+      const label = handLabel(results, handIdx);
+      const key = seen.has(label) ? `${label}-${handIdx}` : label;
+      seen.add(key);
+
+      let state = hands.get(key);
+      if (!state) {
+        state = { filters: createHandFilters() };
+        hands.set(key, state);
+      }
+      state.landmarks = hand.map((l, i) => ({
+        x: state.filters[i].x.filter(l.x, time),
+        y: state.filters[i].y.filter(l.y, time),
+        z: state.filters[i].z.filter(l.z, time)
+      }));
+      state.handedness = results.handedness[handIdx];
+      state.missingFrames = 0;
+
+      landmarks.push(state.landmarks);
+      handedness.push(state.handedness);
+    });
+
+    // Bridge short dropouts with the last known pose; forget hands gone for longer
+    hands.forEach((state, key) => {
+      if (seen.has(key)) return;
+      state.missingFrames++;
+      if (state.missingFrames > maxDropoutFrames) {
+        hands.delete(key);
+      } else if (landmarks.length < maxHands) {
+        landmarks.push(state.landmarks);
+        handedness.push(state.handedness);
+      }
+    });
+
+    return { ...results, landmarks, handedness };
+  };
+
+  const reset = () => hands.clear();
+
+  return { process, reset };
+}
+
+// Results are shown one detection interval late and blended from the previous detection to
+// the latest, so markers move on every rendered frame. Hands are matched by handedness.
+export function createResultInterpolator() {
+  let previous = null; // { results, time }
+  let latest = null;
+  let isSettled = true;
+
+  const push = (results, time) => {
+    previous = latest;
+    latest = { results, time };
+    isSettled = false;
+  };
+
+  const blend = (from, to, alpha) => {
+    const landmarks = to.landmarks.map((hand, handIdx) => {
+      const label = handLabel(to, handIdx);
+      const fromIdx = from.landmarks.findIndex((_, i) => handLabel(from, i) === label);
+      if (fromIdx === -1) return hand;
+      const start = from.landmarks[fromIdx];
+      return hand.map((l, i) => ({
+        x: start[i].x + (l.x - start[i].x) * alpha,
+        y: start[i].y + (l.y - start[i].y) * alpha,
+        z: start[i].z + (l.z - start[i].z) * alpha
+      }));
+    });
+    return { ...to, landmarks };
+  };
+
+  // Results for render time now, or null when nothing changed since the last call
+  const sample = (now) => {
+    if (!latest || isSettled) return null;
+    const interval = previous ? latest.time - previous.time : 0;
+    const alpha = interval > 0 ? Math.min((now - latest.time) / interval, 1) : 1;
+    if (alpha >= 1) isSettled = true;
+    return alpha >= 1 ? latest.results : blend(previous.results, latest.results, alpha);
+  };
+
+  const reset = () => {
+    previous = null;
+    latest = null;
+    isSettled = true;
+  };
+
+  return { push, sample, reset };
+}
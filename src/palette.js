@@ -0,0 +1,71 @@
+// Color palette: a fixed default set followed by user-defined colors persisted to localStorage.
+
+export const DEFAULT_PALETTE = [
+  0x40E0D0, // Turquoise
+  0xff6b6b,
+  0xffd93d,
+  0x6bcb77,
+  0x4d96ff,
+  0x9b5de5,
+  0xffffff,
+  0x333333
+];
+const MAX_CUSTOM_COLORS = 8;
+
+const isColor = (value) => Number.isInteger(value) && value >= 0 && value <= 0xffffff;
+
+export function createPalette({ defaults = DEFAULT_PALETTE, storageKey = null } = {}) {
+  let custom = [];
+  let currentIndex = 0;
+  const listeners = new Set();
+
+  if (storageKey) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey));
+      if (Array.isArray(saved)) custom = saved.filter(isColor).slice(-MAX_CUSTOM_COLORS);
+    } catch {
+      // Ignore unreadable saved colors and start with the defaults only
+    }
+  }
+
+  const colors = () => [...defaults, ...custom];
+  const emit = () => listeners.forEach(listener => listener());
+
+  const select = (index) => {
+    const count = colors().length;
+    currentIndex = ((index % count) + count) % count;
+    emit();
+  };
+
+  const addColor = (color) => {
+    if (!isColor(color)) throw new Error(`Invalid color: ${color}`);
+    const existing = colors().indexOf(color);
+    if (existing !== -1) {
+      select(existing);
+      return;
+    }
+    custom.push(color);
+    if (custom.length > MAX_CUSTOM_COLORS) custom.shift(); // Oldest user color makes room
+    if (storageKey) localStorage.setItem(storageKey, JSON.stringify(custom));
+    select(colors().indexOf(color));
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    colors,
+    select,
+    next: () => select(currentIndex + 1),
+    addColor,
+    subscribe,
+    get current() {
+      return colors()[currentIndex];
+    },
+    get currentIndex() {
+      return currentIndex;
+    }
+  };
+}
@@ -0,0 +1,64 @@
+// Performance overlay: render FPS, detection FPS, inference latency and voxel count.
+// Rates are counted over one-second windows; the text refreshes a few times per second.
+
+const REFRESH_INTERVAL = 250;
+
+function createRateCounter() {
+  let count = 0;
+  let windowStart = 0;
+  let rate = 0;
+
+  const tick = (now) => {
+    if (count === 0 && windowStart === 0) windowStart = now;
+    count++;
+    if (now - windowStart >= 1000) {
+      rate = (count * 1000) / (now - windowStart);
+      count = 0;
+      windowStart = now;
+    }
+  };
+
+  return {
+    tick,
+    get rate() {
+      return rate;
+    }
+  };
+}
+
+export function createPerfHud(element) {
+  const renderRate = createRateCounter();
+  const detectionRate = createRateCounter();
+  let latency = null;
+  let lastRefresh = 0;
+
+  const frame = (now) => renderRate.tick(now);
+
+  const detection = (inferenceMs, now) => {
+    detectionRate.tick(now);
+    latency = inferenceMs;
+  };
+
+  const update = (now, { voxels }) => {
+    if (element.hidden || now - lastRefresh < REFRESH_INTERVAL) return;
+    lastRefresh = now;
+    element.innerText = [
+      `Render    ${renderRate.rate.toFixed(0)} fps`,
+      `Detection ${detectionRate.rate.toFixed(0)} fps`,
+      `Inference ${latency === null ? '-' : `${latency.toFixed(1)} ms`}`,
+      `Voxels    ${voxels}`
+    ].join('\n');
+  };
+
+  return {
+    frame,
+    detection,
+    update,
+    get visible() {
+      return !element.hidden;
+    },
+    set visible(visible) {
+      element.hidden = !visible;
+    }
+  };
+}
@@ -0,0 +1,85 @@
+// Mouse input for building without a camera. Tracks the pointer over the 3D canvas in normalized
+// device coordinates, the left button and the Shift modifier; builder.js turns that into the same
+// hover/press/release input the build hand produces.
+
+export function createPointerInput(element) {
+  const position = { x: 0, y: 0 };
+  let isOver = false;
+  let isDown = false;
+  let shiftKey = false;
+
+  const track = (event) => {
+    const rect = element.getBoundingClientRect();
+    position.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    position.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    shiftKey = event.shiftKey;
+  };
+
+  const onPointerMove = (event) => {
+    if (!event.isPrimary) return;
+    isOver = true;
+    track(event);
+  };
+
+  const onPointerDown = (event) => {
+    if (!event.isPrimary || event.button !== 0) return;
+    track(event);
+    isOver = true;
+    isDown = true;
+    // Keep receiving moves when a drag leaves the canvas
+    element.setPointerCapture(event.pointerId);
+  };
+
+  const onPointerUp = (event) => {
+    if (!event.isPrimary || event.button !== 0) return;
+    isDown = false;
+  };
+
+  const onPointerLeave = () => {
+    isOver = false;
+  };
+
+  // Shift can change without the pointer moving
+  const onKey = (event) => {
+    if (event.key === 'Shift') shiftKey = event.type === 'keydown';
+  };
+
+  const onBlur = () => {
+    isDown = false;
+    shiftKey = false;
+  };
+
+  element.addEventListener('pointermove', onPointerMove);
+  element.addEventListener('pointerdown', onPointerDown);
+  element.addEventListener('pointerup', onPointerUp);
+  element.addEventListener('pointercancel', onPointerUp);
+  element.addEventListener('pointerleave', onPointerLeave);
+  window.addEventListener('keydown', onKey);
+  window.addEventListener('keyup', onKey);
+  window.addEventListener('blur', onBlur);
+
+  const dispose = () => {
+    element.removeEventListener('pointermove', onPointerMove);
+    element.removeEventListener('pointerdown', onPointerDown);
+    element.removeEventListener('pointerup', onPointerUp);
+    element.removeEventListener('pointercancel', onPointerUp);
+    element.removeEventListener('pointerleave', onPointerLeave);
+    window.removeEventListener('keydown', onKey);
+    window.removeEventListener('keyup', onKey);
+    window.removeEventListener('blur', onBlur);
+  };
+
+  return {
+    position,
+    dispose,
+    get isOver() {
+      return isOver;
+    },
+    get isDown() {
+      return isDown;
+    },
+    get shiftKey() {
+      return shiftKey;
+    }
+  };
+}
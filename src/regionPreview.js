@@ -0,0 +1,40 @@
+import * as THREE from 'three';
+import { cellKey } from './voxelGrid.js';
+import { buildVoxelGeometry } from './voxelMesh.js';
+
+// Translucent volume showing the cells a region tool would affect before it is committed.
+// Only the outer faces of the region are drawn, so large boxes stay cheap.
+
+export function createRegionPreview(scene) {
+  const material = new THREE.MeshBasicMaterial({
+    color: 0xffffff,
+    transparent: true,
+    opacity: 0.35,
+    depthWrite: false
+  });
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+  mesh.visible = false;
+  mesh.renderOrder = 1; // Draw after the opaque voxels it overlaps
+  scene.add(mesh);
+
+  const show = (cells, voxelSize, color) => {
+    const keys = new Set(cells.map(({ x, y, z }) => cellKey(x, y, z)));
+    const region = { has: (x, y, z) => keys.has(cellKey(x, y, z)) };
+    mesh.geometry.dispose();
+    mesh.geometry = buildVoxelGeometry(cells.map(cell => ({ ...cell, color: 0xffffff })), region, voxelSize);
+    material.color.set(color);
+    mesh.visible = true;
+  };
+
+  const hide = () => {
+    mesh.visible = false;
+  };
+
+  const dispose = () => {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    material.dispose();
+  };
+
+  return { show, hide, dispose };
+}
@@ -0,0 +1,89 @@
+// Versioned JSON scene documents.
+// Voxels are stored as integer lattice cells, camera values in world units.
+
+export const SCENE_FORMAT = 'voxel-hand-tracking-scene';
+export const SCENE_VERSION = 1;
+
+export class SceneFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SceneFormatError';
+  }
+}
+
+export function colorToHex(color) {
+  return '#' + color.toString(16).padStart(6, '0');
+}
+
+export function serializeScene({ grid, voxelSize, camera, target }) {
+  const voxels = [];
+  grid.forEach(cell => voxels.push({ x: cell.x, y: cell.y, z: cell.z, color: colorToHex(cell.color) }));
+
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    voxelSize,
+    camera: {
+      position: camera.position.toArray(),
+      target: target.toArray()
+    },
+    voxels
+  };
+}
+
+const isVector3 = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+// Validates a scene document (string or parsed object) and returns it normalized.
+// Throws SceneFormatError with a user-facing message when it cannot be loaded.
+export function parseScene(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch {
+      throw new SceneFormatError('File is not valid JSON');
+    }
+  }
+
+  if (!doc || typeof doc !== 'object' || doc.format !== SCENE_FORMAT) {
+    throw new SceneFormatError('File is not a voxel scene');
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new SceneFormatError('Scene has no valid version number');
+  }
+  if (doc.version > SCENE_VERSION) {
+    throw new SceneFormatError(`Scene version ${doc.version} is newer than this app supports (${SCENE_VERSION}). Please update.`);
+  }
+  if (!Number.isFinite(doc.voxelSize) || doc.voxelSize <= 0) {
+    throw new SceneFormatError('Scene voxelSize must be a positive number');
+  }
+  if (!Array.isArray(doc.voxels)) {
+    throw new SceneFormatError('Scene has no voxels list');
+  }
+
+  const seen = new Set();
+  const voxels = doc.voxels.map((voxel, i) => {
+    if (!voxel || ![voxel.x, voxel.y, voxel.z].every(Number.isInteger)) {
+      throw new SceneFormatError(`Voxel ${i} must have integer x, y and z`);
+    }
+    if (typeof voxel.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(voxel.color)) {
+      throw new SceneFormatError(`Voxel ${i} has an invalid color (expected "#rrggbb")`);
+    }
+    const key = `${voxel.x},${voxel.y},${voxel.z}`;
+    if (seen.has(key)) {
+      throw new SceneFormatError(`Voxel ${i} duplicates cell (${key})`);
+    }
+    seen.add(key);
+    return { x: voxel.x, y: voxel.y, z: voxel.z, color: parseInt(voxel.color.slice(1), 16) };
+  });
+
+  let camera = null;
+  if (doc.camera !== undefined) {
+    if (!doc.camera || !isVector3(doc.camera.position) || !isVector3(doc.camera.target)) {
+      throw new SceneFormatError('Scene camera must have position and target as [x, y, z]');
+    }
+    camera = { position: doc.camera.position, target: doc.camera.target };
+  }
+
+  return { version: doc.version, voxelSize: doc.voxelSize, camera, voxels };
+}
@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+import { cellKey } from './voxelGrid.js';
+import { buildOutlineGeometry } from './voxelMesh.js';
+
+// Transforms for groups of voxels ({ x, y, z, color } cells) and the outline that highlights
+// a multi-voxel selection. Transforms return new cells and keep the group's minimum corner
+// in place, so a rotated or flipped selection stays where it was.
+
+export function boundsOf(cells) {
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  cells.forEach((cell) => {
+    ['x', 'y', 'z'].forEach((axis) => {
+      min[axis] = Math.min(min[axis], cell[axis]);
+      max[axis] = Math.max(max[axis], cell[axis]);
+    });
+  });
+  return { min, max, size: { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 } };
+}
+
+export function translateCells(cells, offset) {
+  return cells.map(cell => ({ ...cell, x: cell.x + offset.x, y: cell.y + offset.y, z: cell.z + offset.z }));
+}
+
+// Shifts the cells so their minimum corner sits at the origin (the clipboard form)
+export function normalizeCells(cells) {
+  const { min } = boundsOf(cells);
+  return translateCells(cells, { x: -min.x, y: -min.y, z: -min.z });
+}
+
+// Quarter turn around the vertical axis (counter-clockwise seen from above)
+export function rotateCellsY(cells) {
+  const { min, size } = boundsOf(cells);
+  return cells.map(cell => ({
+    ...cell,
+    x: min.x + (size.z - 1 - (cell.z - min.z)),
+    z: min.z + (cell.x - min.x)
+  }));
+}
+
+export function flipCells(cells, axis) {
+  const { min, max } = boundsOf(cells);
+  return cells.map(cell => ({ ...cell, [axis]: min[axis] + max[axis] - cell[axis] }));
+}
+
+// Outline around the union of the selected cells
+export function createSelectionOutline(scene) {
+  const lines = new THREE.LineSegments(
+    new THREE.BufferGeometry(),
+    new THREE.LineBasicMaterial({ color: 0xffff00, transparent: true, opacity: 0.9, depthTest: false })
+  );
+  lines.visible = false;
+  lines.renderOrder = 2; // Stay visible through the voxels they surround
+  scene.add(lines);
+
+  const show = (cells, voxelSize) => {
+    const keys = new Set(cells.map(({ x, y, z }) => cellKey(x, y, z)));
+    const group = { has: (x, y, z) => keys.has(cellKey(x, y, z)) };
+    lines.geometry.dispose();
+    lines.geometry = buildOutlineGeometry(cells, group, voxelSize);
+    lines.visible = cells.length > 0;
+  };
+
+  const hide = () => {
+    lines.visible = false;
+  };
+
+  const dispose = () => {
+    scene.remove(lines);
+    lines.geometry.dispose();
+    lines.material.dispose();
+  };
+
+  return { show, hide, dispose };
+}
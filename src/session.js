@@ -0,0 +1,173 @@
+// Recording and playback of hand-landmark sessions.
+// A session stores the per-frame HandLandmarker results so they can be fed back into the
+// same pipeline as the webcam, which makes gesture bugs reproducible without a camera.
+
+export const SESSION_FORMAT = 'voxel-hand-tracking-session';
+export const SESSION_VERSION = 1;
+
+export class SessionFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionFormatError';
+  }
+}
+
+const round = (v) => Math.round(v * 100000) / 100000;
+
+export function createSessionRecorder() {
+  let frames = [];
+  let startTime = 0;
+  let videoSize = { width: 0, height: 0 };
+  let recording = false;
+
+  const start = () => {
+    frames = [];
+    startTime = performance.now();
+    recording = true;
+  };
+
+  const capture = (results, video) => {
+    if (!recording) return;
+    videoSize = { width: video.videoWidth, height: video.videoHeight };
+    frames.push({
+      t: Math.round(performance.now() - startTime),
+      landmarks: (results.landmarks || []).map(hand => hand.map(l => [round(l.x), round(l.y), round(l.z)])),
+      handedness: (results.handedness || []).map(h => (h[0] ? h[0].categoryName : 'Right'))
+    });
+  };
+
+  const stop = () => {
+    recording = false;
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      videoWidth: videoSize.width,
+      videoHeight: videoSize.height,
+      frames
+    };
+  };
+
+  return {
+    start,
+    capture,
+    stop,
+    get isRecording() {
+      return recording;
+    },
+    get frameCount() {
+      return frames.length;
+    }
+  };
+}
+
+// Validates a session document (string or parsed object) and returns it.
+export function parseSession(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch {
+      throw new SessionFormatError('File is not valid JSON');
+    }
+  }
+
+  if (!doc || typeof doc !== 'object' || doc.format !== SESSION_FORMAT) {
+    throw new SessionFormatError('File is not a hand-tracking session');
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > SESSION_VERSION) {
+    throw new SessionFormatError(`Session version ${doc.version} is not supported (expected ${SESSION_VERSION} or older)`);
+  }
+  if (!(doc.videoWidth > 0) || !(doc.videoHeight > 0)) {
+    throw new SessionFormatError('Session is missing the recorded video size');
+  }
+  if (!Array.isArray(doc.frames) || doc.frames.length === 0) {
+    throw new SessionFormatError('Session has no frames');
+  }
+  doc.frames.forEach((frame, i) => {
+    if (!Number.isFinite(frame.t) || !Array.isArray(frame.landmarks) || !Array.isArray(frame.handedness)) {
+      throw new SessionFormatError(`Session frame ${i} is malformed`);
+    }
+    if (frame.landmarks.some(hand => !Array.isArray(hand) || hand.length !== 21)) {
+      throw new SessionFormatError(`Session frame ${i} has a hand without 21 landmarks`);
+    }
+  });
+  return doc;
+}
+
+// Converts a stored frame back into the shape HandLandmarker.detectForVideo returns
+function toResults(frame) {
+  return {
+    landmarks: frame.landmarks.map(hand => hand.map(([x, y, z]) => ({ x, y, z }))),
+    handedness: frame.handedness.map((categoryName, index) => [
+      { categoryName, displayName: categoryName, score: 1, index }
+    ])
+  };
+}
+
+export function createSessionPlayer(session) {
+  const frames = session.frames;
+  const duration = frames[frames.length - 1].t;
+  let time = 0;
+  let playing = false;
+  let lastTick = 0;
+  let lastFrameIndex = -1;
+
+  // Last frame at or before t
+  const frameIndexAt = (t) => {
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (frames[mid].t <= t) low = mid;
+      else high = mid - 1;
+    }
+    return low;
+  };
+
+  const play = () => {
+    if (time >= duration) time = 0;
+    playing = true;
+    lastTick = performance.now();
+  };
+
+  const pause = () => {
+    playing = false;
+  };
+
+  const seek = (t) => {
+    time = Math.min(Math.max(t, 0), duration);
+    lastFrameIndex = -1; // Re-emit the frame at the new position
+  };
+
+  // Advances playback; returns results for a new frame, or null when nothing changed
+  const update = (now) => {
+    if (playing) {
+      time += now - lastTick;
+      lastTick = now;
+      if (time >= duration) {
+        time = duration;
+        playing = false;
+      }
+    }
+    const index = frameIndexAt(time);
+    if (index === lastFrameIndex) return null;
+    lastFrameIndex = index;
+    return toResults(frames[index]);
+  };
+
+  return {
+    play,
+    pause,
+    seek,
+    update,
+    duration,
+    videoWidth: session.videoWidth,
+    videoHeight: session.videoHeight,
+    get time() {
+      return time;
+    },
+    get isPlaying() {
+      return playing;
+    }
+  };
+}
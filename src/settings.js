@@ -0,0 +1,134 @@
+// Tunable thresholds and sensitivities, persisted to localStorage.
+// The schema drives validation, the settings panel and import/export.
+
+export const SETTINGS_FORMAT = 'voxel-hand-tracking-settings';
+export const SETTINGS_VERSION = 1;
+
+export const SETTINGS_SCHEMA = {
+  pinchThreshold: { label: 'Pinch threshold', min: 0.01, max: 0.1, step: 0.005, default: 0.045 },
+  buildCooldown: { label: 'Build cooldown (ms)', min: 50, max: 1000, step: 10, default: 300 },
+  rotateSensitivity: { label: 'Rotate sensitivity', min: 1, max: 40, step: 0.5, default: 15 },
+  zoomSensitivity: { label: 'Zoom sensitivity', min: 1, max: 40, step: 0.5, default: 15 },
+  minDistance: { label: 'Min camera distance', min: 1, max: 50, step: 1, default: 5 },
+  maxDistance: { label: 'Max camera distance', min: 10, max: 200, step: 5, default: 50 },
+  voxelSize: { label: 'Voxel size', min: 0.25, max: 4, step: 0.25, default: 1, model: true },
+  volumeWidth: { label: 'Volume width (cells)', min: 4, max: 128, step: 1, default: 20, integer: true, model: true },
+  volumeHeight: { label: 'Volume height (cells)', min: 2, max: 64, step: 1, default: 10, integer: true, model: true },
+  volumeDepth: { label: 'Volume depth (cells)', min: 4, max: 128, step: 1, default: 20, integer: true, model: true }
+};
+
+// Fields marked model describe the model rather than the feel, so presets and reset leave them alone
+export const isModelSetting = (key) => Boolean(SETTINGS_SCHEMA[key] && SETTINGS_SCHEMA[key].model);
+
+// Presets only list what they change; everything else comes from the schema defaults
+export const SETTINGS_PRESETS = {
+  default: {},
+  precise: { pinchThreshold: 0.035, buildCooldown: 450, rotateSensitivity: 8, zoomSensitivity: 8 },
+  fast: { pinchThreshold: 0.055, buildCooldown: 150, rotateSensitivity: 25, zoomSensitivity: 25 }
+};
+
+export class SettingsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SettingsError';
+  }
+}
+
+const defaults = () => Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, field]) => [key, field.default])
+);
+
+function validateValue(key, value) {
+  const field = SETTINGS_SCHEMA[key];
+  if (!field) throw new SettingsError(`Unknown setting "${key}"`);
+  if (!Number.isFinite(value) || value < field.min || value > field.max) {
+    throw new SettingsError(`${field.label} must be a number between ${field.min} and ${field.max}`);
+  }
+  if (field.integer && !Number.isInteger(value)) {
+    throw new SettingsError(`${field.label} must be a whole number`);
+  }
+}
+
+// Only keys the schema knows survive; anything else in a file is ignored
+function pickKnown(source) {
+  if (!source || typeof source !== 'object') return {};
+  return Object.fromEntries(Object.keys(SETTINGS_SCHEMA).filter(k => k in source).map(k => [k, source[k]]));
+}
+
+function validateAll(values) {
+  Object.entries(values).forEach(([key, value]) => validateValue(key, value));
+  if (values.minDistance >= values.maxDistance) {
+    throw new SettingsError('Min camera distance must be smaller than max camera distance');
+  }
+}
+
+export function createSettings({ storageKey = null } = {}) {
+  const values = defaults(); // Live object; read it directly for the current values
+  const listeners = new Set();
+
+  if (storageKey) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey));
+      const merged = { ...values, ...pickKnown(saved) };
+      validateAll(merged);
+      Object.assign(values, merged);
+    } catch {
+      // Unreadable or out-of-range saved settings: keep the defaults
+    }
+  }
+
+  const commit = (next) => {
+    validateAll(next);
+    const changed = Object.keys(next).filter(key => next[key] !== values[key]);
+    if (changed.length === 0) return;
+    Object.assign(values, next);
+    if (storageKey) localStorage.setItem(storageKey, JSON.stringify(values));
+    listeners.forEach(listener => listener(changed));
+  };
+
+  const set = (key, value) => {
+    validateValue(key, value);
+    commit({ ...values, [key]: value });
+  };
+
+  const modelValues = () => Object.fromEntries(
+    Object.keys(SETTINGS_SCHEMA).filter(isModelSetting).map(key => [key, values[key]])
+  );
+
+  const applyPreset = (name) => {
+    const preset = SETTINGS_PRESETS[name];
+    if (!preset) throw new SettingsError(`Unknown preset "${name}"`);
+    commit({ ...defaults(), ...preset, ...modelValues() });
+  };
+
+  const toJSON = () => ({ format: SETTINGS_FORMAT, version: SETTINGS_VERSION, settings: { ...values } });
+
+  const importJSON = (text) => {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch {
+      throw new SettingsError('Settings file is not valid JSON');
+    }
+    if (!doc || doc.format !== SETTINGS_FORMAT) throw new SettingsError('File is not a settings file');
+    if (!Number.isInteger(doc.version) || doc.version > SETTINGS_VERSION) {
+      throw new SettingsError(`Settings version ${doc.version} is not supported (expected ${SETTINGS_VERSION} or older)`);
+    }
+    commit({ ...values, ...pickKnown(doc.settings) });
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    values,
+    set,
+    applyPreset,
+    reset: () => commit({ ...defaults(), ...modelValues() }),
+    toJSON,
+    importJSON,
+    subscribe
+  };
+}
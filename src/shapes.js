@@ -0,0 +1,85 @@
+// Cell generators for the region tools. Every shape is defined by two corner cells (in any
+// order) and returns the list of { x, y, z } cells it covers. Parametric shapes fill the box
+// spanned by the corners and come in solid and hollow (one-cell shell) variants.
+
+export const REGION_TOOLS = ['line', 'wall', 'box', 'sphere', 'cylinder', 'pyramid'];
+export const HOLLOW_TOOLS = ['box', 'sphere', 'cylinder', 'pyramid'];
+
+const bounds = (a, b) => ({
+  lo: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) },
+  hi: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) }
+});
+
+// Cells on the straight line between a and b, one per step along the longest axis
+export function lineCells(a, b) {
+  const steps = Math.max(Math.abs(b.x - a.x), Math.abs(b.y - a.y), Math.abs(b.z - a.z));
+  const cells = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = steps === 0 ? 0 : i / steps;
+    cells.push({
+      x: Math.round(a.x + (b.x - a.x) * t),
+      y: Math.round(a.y + (b.y - a.y) * t),
+      z: Math.round(a.z + (b.z - a.z) * t)
+    });
+  }
+  return cells;
+}
+
+// Vertical wall: the line between a and b on the floor plane, raised over their height range
+export function wallCells(a, b) {
+  const { lo, hi } = bounds(a, b);
+  const cells = [];
+  lineCells({ x: a.x, y: 0, z: a.z }, { x: b.x, y: 0, z: b.z }).forEach(({ x, z }) => {
+    for (let y = lo.y; y <= hi.y; y++) cells.push({ x, y, z });
+  });
+  return cells;
+}
+
+// Inside tests in box-relative terms: d is the offset from the box center, r the half-size
+const PREDICATES = {
+  box: () => true,
+  sphere: (d, r) => (d.x / r.x) ** 2 + (d.y / r.y) ** 2 + (d.z / r.z) ** 2 <= 1,
+  cylinder: (d, r) => (d.x / r.x) ** 2 + (d.z / r.z) ** 2 <= 1,
+  // Square base on the bottom layer, narrowing to the apex on the top layer. The apex is one cell
+  // across (two for an even base), so a 1-wide base rises as a column instead of a single cell.
+  pyramid: (d, r, layer, height) => {
+    const shrink = 1 - layer / height;
+    const halfWidth = (radius) => Math.max(radius * shrink, Number.isInteger(radius) ? 1 : 0.5);
+    return Math.abs(d.x) + 0.5 <= halfWidth(r.x) + 1e-9 && Math.abs(d.z) + 0.5 <= halfWidth(r.z) + 1e-9;
+  }
+};
+
+function solidCells(tool, a, b, hollow) {
+  const { lo, hi } = bounds(a, b);
+  const center = { x: (lo.x + hi.x) / 2, y: (lo.y + hi.y) / 2, z: (lo.z + hi.z) / 2 };
+  const r = { x: (hi.x - lo.x + 1) / 2, y: (hi.y - lo.y + 1) / 2, z: (hi.z - lo.z + 1) / 2 };
+  const height = hi.y - lo.y + 1;
+
+  const inside = (x, y, z) => (
+    x >= lo.x && x <= hi.x && y >= lo.y && y <= hi.y && z >= lo.z && z <= hi.z &&
+    PREDICATES[tool]({ x: x - center.x, y: y - center.y, z: z - center.z }, r, y - lo.y, height)
+  );
+
+  const cells = [];
+  for (let x = lo.x; x <= hi.x; x++) {
+    for (let y = lo.y; y <= hi.y; y++) {
+      for (let z = lo.z; z <= hi.z; z++) {
+        if (!inside(x, y, z)) continue;
+        // Hollow keeps only cells with at least one face open to the outside
+        if (hollow &&
+          inside(x + 1, y, z) && inside(x - 1, y, z) &&
+          inside(x, y + 1, z) && inside(x, y - 1, z) &&
+          inside(x, y, z + 1) && inside(x, y, z - 1)) continue;
+        cells.push({ x, y, z });
+      }
+    }
+  }
+  return cells;
+}
+
+export function shapeCells(tool, a, b, { hollow = false } = {}) {
+  if (tool === 'line') return lineCells(a, b);
+  if (tool === 'wall') return wallCells(a, b);
+  if (!PREDICATES[tool]) throw new Error(`Unknown region tool "${tool}"`);
+  return solidCells(tool, a, b, hollow && HOLLOW_TOOLS.includes(tool));
+}
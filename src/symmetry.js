@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+import { cellKey } from './voxelGrid.js';
+
+// Mirror building: up to three axis-aligned symmetry planes through a shared center.
+// The center is in cell units and snaps to half cells, so a plane runs either through
+// the middle of a row of cells or along the boundary between two rows.
+
+export const SYMMETRY_AXES = ['x', 'y', 'z'];
+const PLANE_COLORS = { x: 0xff4d4d, y: 0x4dff4d, z: 0x4d96ff };
+
+export const snapCenter = (value) => Math.round(value * 2) / 2;
+
+// The cells plus all their mirror images across the enabled planes, without duplicates.
+// Extra cell properties (e.g. color) are carried over to the images.
+export function mirrorCells(cells, { axes, center }) {
+  let result = cells;
+  SYMMETRY_AXES.forEach((axis) => {
+    if (!axes[axis]) return;
+    result = result.concat(result.map(cell => ({ ...cell, [axis]: 2 * center[axis] - cell[axis] })));
+  });
+
+  const seen = new Set();
+  return result.filter(({ x, y, z }) => {
+    const key = cellKey(x, y, z);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Translucent planes showing the enabled symmetry planes across the build volume
+export function createSymmetryGuide(scene) {
+  const planes = {};
+  SYMMETRY_AXES.forEach((axis) => {
+    const mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshBasicMaterial({
+        color: PLANE_COLORS[axis],
+        transparent: true,
+        opacity: 0.15,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      })
+    );
+    // PlaneGeometry faces +z; turn the x and y planes to face their axes
+    if (axis === 'x') mesh.rotation.y = Math.PI / 2;
+    if (axis === 'y') mesh.rotation.x = -Math.PI / 2;
+    mesh.visible = false;
+    scene.add(mesh);
+    planes[axis] = mesh;
+  });
+
+  // volume is the build volume ({ min, max } in cells)
+  const update = ({ axes, center }, volume, voxelSize) => {
+    const extent = {};
+    const middle = {};
+    SYMMETRY_AXES.forEach((axis) => {
+      extent[axis] = (volume.max[axis] - volume.min[axis] + 1) * voxelSize;
+      middle[axis] = (volume.max[axis] + volume.min[axis]) / 2 * voxelSize;
+    });
+
+    SYMMETRY_AXES.forEach((axis) => {
+      const mesh = planes[axis];
+      mesh.visible = axes[axis];
+      mesh.position.set(middle.x, middle.y, middle.z);
+      mesh.position[axis] = center[axis] * voxelSize;
+      // Local width/height after the rotations above
+      if (axis === 'x') mesh.scale.set(extent.z, extent.y, 1);
+      else if (axis === 'y') mesh.scale.set(extent.x, extent.z, 1);
+      else mesh.scale.set(extent.x, extent.y, 1);
+    });
+  };
+
+  const dispose = () => {
+    Object.values(planes).forEach((mesh) => {
+      scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+  };
+
+  return { update, dispose };
+}
@@ -0,0 +1,127 @@
+// Markup of one builder; VoxelBuilder.mount puts it into a .voxel-builder element in the host page.
+// Elements are named by class instead of id so several builders can share a page; the builder
+// looks them up inside its own root, never in the whole document.
+
+export const BUILDER_TEMPLATE = `
+<video class="webcam" autoplay playsinline></video>
+<canvas class="gesture-canvas"></canvas>
+<div class="three-container"></div>
+<div class="ui">
+    <h1>Voxel Hand Tracking</h1>
+    <p>Point at a face and pinch to build on it, drag to extrude</p>
+    <p>Left fist + pinch to erase</p>
+    <p>Left point or Ctrl+Z to undo, Ctrl+Shift+Z to redo</p>
+    <p>Left open palm or pinch a swatch to change color</p>
+    <p>H swaps hands; O toggles one-handed mode (hold ✌ to switch build/navigate)</p>
+    <p>Region tools: pinch and drag, or pinch with both hands, to span the shape</p>
+    <p>Select: pinch-drag a box, pinch a selected voxel to move it; arrows/PgUp/PgDn nudge</p>
+    <p>M toggles mouse mode: click a face to build, drag to extrude, Shift erases, right-drag orbits, 1-9 pick tools</p>
+    <p>Collaborate: start the relay with npm run relay, then connect each page (?relay=ws://host:8787)</p>
+    <p>Drop a scene, session, .vox or image file to load it</p>
+    <div class="status">Initializing...</div>
+    <div class="startup-actions actions" hidden>
+        <button class="retry-button">Retry</button>
+    </div>
+    <div class="current-color">
+        <span class="current-color-swatch"></span>
+        <span class="current-mode">Build mode</span>
+    </div>
+    <div class="actions">
+        <button class="paint-button">Paint Mode (P)</button>
+        <button class="grid-button">Grid (G)</button>
+        <button class="bounds-button">Bounds (B)</button>
+        <button class="hud-button">HUD (I)</button>
+        <button class="swap-hands-button">Swap Hands (H)</button>
+        <button class="one-handed-button">One-Handed (O)</button>
+        <button class="mouse-mode-button">Mouse Mode (M)</button>
+        <button class="collab-button">Collaborate</button>
+        <button class="settings-button">Settings</button>
+        <button class="calibrate-button">Calibrate Depth</button>
+        <button class="reset-calibration-button">Reset Depth</button>
+        <button class="save-button">Save Scene</button>
+        <button class="export-vox-button">Export .vox</button>
+        <button class="export-glb-button">Export .glb</button>
+        <button class="export-obj-button">Export .obj</button>
+    </div>
+    <div class="tool-actions actions">
+        <button data-tool="voxel">Voxel</button>
+        <button data-tool="line">Line</button>
+        <button data-tool="wall">Wall</button>
+        <button data-tool="box">Box</button>
+        <button data-tool="sphere">Sphere</button>
+        <button data-tool="cylinder">Cylinder</button>
+        <button data-tool="pyramid">Pyramid</button>
+        <button data-tool="select">Select</button>
+        <button data-tool="stamp">Stamp</button>
+        <button class="hollow-button">Hollow</button>
+    </div>
+    <div class="selection-actions actions">
+        <button data-command="rotate">Rotate (R)</button>
+        <button data-command="flipX">Flip X (F)</button>
+        <button data-command="flipZ">Flip Z (Shift+F)</button>
+        <button data-command="duplicate">Duplicate (Ctrl+D)</button>
+        <button data-command="copy">Copy (Ctrl+C)</button>
+        <button data-command="cut">Cut (Ctrl+X)</button>
+        <button data-command="delete">Delete (Del)</button>
+        <button data-command="deselect">Deselect (Esc)</button>
+    </div>
+    <div class="symmetry-actions actions">
+        <button data-axis="x">Mirror X</button>
+        <button data-axis="y">Mirror Y</button>
+        <button data-axis="z">Mirror Z</button>
+        <button class="mirror-center-button">Center on Hovered</button>
+        <button class="mirror-reset-button">Center on Volume</button>
+    </div>
+    <div class="import-actions actions">
+        <button class="import-vox-button">Import .vox</button>
+        <button class="import-image-button">Import Image</button>
+        <button class="import-heightmap-button">Import Heightmap</button>
+        <input class="import-input" type="file" hidden>
+    </div>
+    <div class="session-actions actions">
+        <button class="record-button">Record Session</button>
+    </div>
+    <div class="capture-actions actions">
+        <button class="screenshot-button">Screenshot</button>
+        <button class="capture-camera-button">Include Camera</button>
+        <button class="turntable-button">Turntable</button>
+        <button class="record-video-button">Record Video</button>
+        <button class="record-turntable-button">Record Turntable</button>
+    </div>
+    <div class="playback-controls actions" hidden>
+        <button class="play-button">Play</button>
+        <input class="scrub-input" type="range" min="0" max="0" step="1" value="0">
+        <span class="playback-time">0.0s</span>
+        <button class="live-button">Back to Webcam</button>
+    </div>
+</div>
+<pre class="hud" hidden></pre>
+<div class="calibration" hidden>
+    <h2>Depth Calibration</h2>
+    <p class="calibration-step"></p>
+    <p class="calibration-prompt"></p>
+    <div class="progress"><div class="calibration-progress"></div></div>
+    <button class="calibration-cancel">Cancel</button>
+</div>
+<div class="settings" hidden>
+    <h2>Settings</h2>
+    <label class="settings-preset">
+        Preset
+        <select class="settings-preset-select"></select>
+    </label>
+    <div class="settings-fields"></div>
+    <div class="settings-actions">
+        <button class="settings-reset">Reset</button>
+        <button class="settings-export">Export JSON</button>
+        <button class="settings-import">Import JSON</button>
+        <button class="settings-close">Close</button>
+        <input class="settings-input" type="file" accept=".json,application/json" hidden>
+    </div>
+</div>
+<div class="palette">
+    <label class="custom-color" title="Add a custom color">
+        +
+        <input class="custom-color-input" type="color" value="#40e0d0">
+    </label>
+</div>
+`;
@@ -0,0 +1,179 @@
+import { Color } from 'three';
+import { createBuilder } from './builder.js';
+import { BUILDER_TEMPLATE } from './template.js';
+import { REGION_TOOLS } from './shapes.js';
+import './style.css';
+
+// Public API for embedding the builder in other pages and scripting it:
+//
+//   const builder = new VoxelBuilder({ tracking: false }).mount(document.getElementById('editor'));
+//   builder.on('voxelAdded', ({ x, y, z, color }) => console.log(x, y, z, color));
+//   builder.addVoxel(0, 0, 0, '#ff0000');
+//
+// Options: tracking (start the webcam and hand tracking, default true; false starts in mouse
+// mode), keyboard (shortcuts while focus is inside the builder, default true), storagePrefix
+// (localStorage key prefix for the autosave, settings, palette, hand roles and depth calibration,
+// default 'voxel-hand-tracking'; give each builder on a page its own), relayUrl and userName
+// (collaboration).
+//
+// Events and their detail:
+//   voxelAdded, voxelRemoved, voxelRecolored  { x, y, z, color }
+//   gestureStart, gestureEnd                  { gesture }  'spin' | 'tilt' | 'zoom' | 'undo' | 'color' | 'erase'
+//   handsDetected, handsLost                  { hands }    hand labels, 'Left' | 'Right'
+//   pinchStart                                { mode, tool, cell }
+//   pinchEnd                                  { mode }
+// Pinch events also fire for mouse presses in mouse mode. Colors are '#rrggbb' strings.
+
+export const BUILDER_EVENTS = [
+  'voxelAdded',
+  'voxelRemoved',
+  'voxelRecolored',
+  'gestureStart',
+  'gestureEnd',
+  'handsDetected',
+  'handsLost',
+  'pinchStart',
+  'pinchEnd'
+];
+export const BUILDER_TOOLS = ['voxel', ...REGION_TOOLS, 'select', 'stamp'];
+
+export class BuilderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BuilderError';
+  }
+}
+
+function toCell(x, y, z) {
+  if (!Number.isInteger(x) || !Number.isInteger(y) || !Number.isInteger(z)) {
+    throw new BuilderError(`Voxel coordinates must be integers, got (${x}, ${y}, ${z})`);
+  }
+  return { x, y, z };
+}
+
+export class VoxelBuilder {
+  #options;
+  #root = null;
+  #builder = null;
+  #listeners = new Map(); // Event name -> listeners
+
+  constructor(options = {}) {
+    this.#options = options;
+  }
+
+  get mounted() {
+    return this.#builder !== null;
+  }
+
+  // Renders the builder into container, which it fills; returns the builder for chaining
+  mount(container) {
+    if (this.#builder) throw new BuilderError('The builder is already mounted');
+    if (!(container instanceof Element)) throw new BuilderError('mount() needs a DOM element');
+    this.#root = document.createElement('div');
+    this.#root.className = 'voxel-builder';
+    this.#root.tabIndex = 0; // Keyboard shortcuts need focus inside the builder
+    this.#root.innerHTML = BUILDER_TEMPLATE;
+    container.appendChild(this.#root);
+    this.#builder = createBuilder(this.#root, {
+      ...this.#options,
+      emit: (type, detail) => this.#emit(type, detail)
+    });
+    return this;
+  }
+
+  // Tears down the renderer, webcam stream, detection worker and listeners, and removes the markup.
+  // The builder can be mounted again afterwards.
+  dispose() {
+    if (!this.#builder) return;
+    this.#builder.dispose();
+    this.#root.remove();
+    this.#builder = null;
+    this.#root = null;
+  }
+
+  // Moves keyboard focus into the builder so its shortcuts work without clicking it first
+  focus() {
+    this.#mounted();
+    this.#root.focus({ preventScroll: true });
+  }
+
+  // Returns whether a voxel was added; occupied cells and cells outside the build volume are skipped
+  addVoxel(x, y, z, color) {
+    const cell = toCell(x, y, z);
+    return this.#mounted().addVoxel(cell, color === undefined ? undefined : new Color(color).getHex());
+  }
+
+  // Returns whether there was a voxel to remove
+  removeVoxel(x, y, z) {
+    return this.#mounted().removeVoxel(toCell(x, y, z));
+  }
+
+  clear() {
+    this.#mounted().clear();
+  }
+
+  // [{ x, y, z, color }] in cells, colors as '#rrggbb'
+  getVoxels() {
+    return this.#mounted().getVoxels();
+  }
+
+  setTool(tool) {
+    if (!BUILDER_TOOLS.includes(tool)) {
+      throw new BuilderError(`Unknown tool "${tool}", expected one of ${BUILDER_TOOLS.join(', ')}`);
+    }
+    this.#mounted().setTool(tool);
+  }
+
+  // The scene as JSON, the same document the Save Scene button downloads
+  save() {
+    return this.#mounted().save();
+  }
+
+  // Resolves with a PNG blob of the view at scale times its on-screen resolution (default 2);
+  // withCamera includes the webcam and hand overlay (default: the Include Camera toggle)
+  screenshot({ scale, withCamera } = {}) {
+    return this.#mounted().screenshot({ scale, withCamera });
+  }
+
+  // Replaces the scene with a saved one (JSON string or parsed object); throws SceneFormatError,
+  // or BuilderError while an import is placing voxels.
+  // Voxels outside the build volume are kept; returns how many there are.
+  load(scene) {
+    const builder = this.#mounted();
+    if (builder.isImporting) throw new BuilderError('Wait for the import to finish before loading a scene');
+    return builder.load(scene);
+  }
+
+  // Returns a function that removes the listener
+  on(event, listener) {
+    if (!BUILDER_EVENTS.includes(event)) {
+      throw new BuilderError(`Unknown event "${event}", expected one of ${BUILDER_EVENTS.join(', ')}`);
+    }
+    if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+    this.#listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    const listeners = this.#listeners.get(event);
+    if (listeners) listeners.delete(listener);
+  }
+
+  #emit(type, detail) {
+    const listeners = this.#listeners.get(type);
+    if (!listeners) return;
+    listeners.forEach((listener) => {
+      // A failing listener must not break the builder's frame loop
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`VoxelBuilder ${type} listener failed:`, error);
+      }
+    });
+  }
+
+  #mounted() {
+    if (!this.#builder) throw new BuilderError('Mount the builder before using it');
+    return this.#builder;
+  }
+}
@@ -0,0 +1,61 @@
+// Sparse voxel storage keyed by integer lattice coordinates.
+// This is the single source of truth for the model; the scene subscribes to its changes.
+export function cellKey(x, y, z) {
+  return `${x},${y},${z}`;
+}
+
+export function createVoxelGrid() {
+  const cells = new Map();
+  const listeners = new Set();
+
+  const emit = (type, cell) => listeners.forEach(listener => listener(type, cell));
+
+  const get = (x, y, z) => cells.get(cellKey(x, y, z));
+  const has = (x, y, z) => cells.has(cellKey(x, y, z));
+
+  const set = (x, y, z, attributes = {}) => {
+    if (!Number.isInteger(x) || !Number.isInteger(y) || !Number.isInteger(z)) {
+      throw new Error(`Voxel coordinates must be integers, got (${x}, ${y}, ${z})`);
+    }
+    const key = cellKey(x, y, z);
+    const existing = cells.get(key);
+    const cell = { ...existing, ...attributes, x, y, z };
+    cells.set(key, cell);
+    emit(existing ? 'update' : 'add', cell);
+    return cell;
+  };
+
+  const remove = (x, y, z) => {
+    const key = cellKey(x, y, z);
+    const cell = cells.get(key);
+    if (!cell) return null;
+    cells.delete(key);
+    emit('remove', cell);
+    return cell;
+  };
+
+  const clear = () => {
+    const removed = [...cells.values()];
+    cells.clear();
+    removed.forEach(cell => emit('remove', cell));
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    get,
+    has,
+    set,
+    remove,
+    clear,
+    subscribe,
+    values: () => cells.values(),
+    forEach: (callback) => cells.forEach(callback),
+    get size() {
+      return cells.size;
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+
+// Geometry helpers shared by the voxel renderer and the exporters.
+// Only faces not covered by a neighbouring voxel are emitted.
+
+// Corner offsets are wound counter-clockwise when seen from outside the cube
+export const FACES = [
+  { dir: [1, 0, 0], corners: [[1, 0, 0], [1, 1, 0], [1, 1, 1], [1, 0, 1]] },
+  { dir: [-1, 0, 0], corners: [[0, 0, 1], [0, 1, 1], [0, 1, 0], [0, 0, 0]] },
+  { dir: [0, 1, 0], corners: [[0, 1, 1], [1, 1, 1], [1, 1, 0], [0, 1, 0]] },
+  { dir: [0, -1, 0], corners: [[0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1]] },
+  { dir: [0, 0, 1], corners: [[1, 0, 1], [1, 1, 1], [0, 1, 1], [0, 0, 1]] },
+  { dir: [0, 0, -1], corners: [[0, 0, 0], [0, 1, 0], [1, 1, 0], [1, 0, 0]] }
+];
+
+// Calls callback(cell, face, corners) for every exposed face of the given cells.
+// Corners are lattice points; world position is (corner - 0.5) * voxelSize.
+export function forEachVisibleFace(cells, grid, callback) {
+  for (const cell of cells) {
+    FACES.forEach((face) => {
+      const { dir } = face;
+      if (grid.has(cell.x + dir[0], cell.y + dir[1], cell.z + dir[2])) return; // Hidden face
+      const corners = face.corners.map(([cx, cy, cz]) => [cell.x + cx, cell.y + cy, cell.z + cz]);
+      callback(cell, face, corners);
+    });
+  }
+}
+
+const toWorld = (corner, voxelSize) => corner.map(v => (v - 0.5) * voxelSize);
+
+// Merged indexed geometry with per-voxel vertex colors
+export function buildVoxelGeometry(cells, grid, voxelSize) {
+  const positions = [];
+  const normals = [];
+  const colors = [];
+  const indices = [];
+  const color = new THREE.Color();
+
+  forEachVisibleFace(cells, grid, (cell, face, corners) => {
+    color.set(cell.color);
+    const base = positions.length / 3;
+    corners.forEach((corner) => {
+      positions.push(...toWorld(corner, voxelSize));
+      normals.push(...face.dir);
+      colors.push(color.r, color.g, color.b);
+    });
+    indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+  geometry.setIndex(indices);
+  return geometry;
+}
+
+// Outline segments of the exposed faces, with edges shared between faces emitted once
+export function buildOutlineGeometry(cells, grid, voxelSize) {
+  const edges = new Map();
+
+  forEachVisibleFace(cells, grid, (cell, face, corners) => {
+    for (let i = 0; i < 4; i++) {
+      const a = corners[i];
+      const b = corners[(i + 1) % 4];
+      const ka = a.join(',');
+      const kb = b.join(',');
+      edges.set(ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`, [a, b]);
+    }
+  });
+
+  const positions = [];
+  edges.forEach(([a, b]) => positions.push(...toWorld(a, voxelSize), ...toWorld(b, voxelSize)));
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return geometry;
+}
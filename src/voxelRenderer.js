@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { cellKey } from './voxelGrid.js';
+import { FACES, buildVoxelGeometry, buildOutlineGeometry } from './voxelMesh.js';
+
+// Chunked voxel renderer.
+// Each chunk is a single merged mesh holding only the faces not hidden by a neighbour,
+// plus one LineSegments with the outlines of those faces, so draw calls grow per chunk
+// instead of per voxel.
+
+export function createVoxelRenderer(scene, grid, { voxelSize = 1, chunkSize = 16 } = {}) {
+  const chunks = new Map(); // chunkKey -> { cells, mesh, lines }
+  const dirtyChunks = new Set();
+  const meshes = []; // Chunk meshes for raycasting
+
+  const material = new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    roughness: 0.3,
+    metalness: 0.1,
+    // Push faces back slightly so the outlines do not z-fight with them
+    polygonOffset: true,
+    polygonOffsetFactor: 1,
+    polygonOffsetUnits: 1
+  });
+  const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, linewidth: 2 });
+
+  const chunkCoord = (v) => Math.floor(v / chunkSize);
+  const chunkKeyOf = (x, y, z) => cellKey(chunkCoord(x), chunkCoord(y), chunkCoord(z));
+
+  const getChunk = (key) => {
+    let chunk = chunks.get(key);
+    if (!chunk) {
+      chunk = { cells: new Map(), mesh: null, lines: null };
+      chunks.set(key, chunk);
+    }
+    return chunk;
+  };
+
+  const markDirty = (cell) => {
+    dirtyChunks.add(chunkKeyOf(cell.x, cell.y, cell.z));
+    // Cells on a chunk border can hide faces in the neighbouring chunk
+    FACES.forEach(({ dir }) => {
+      dirtyChunks.add(chunkKeyOf(cell.x + dir[0], cell.y + dir[1], cell.z + dir[2]));
+    });
+  };
+
+  const onGridChange = (type, cell) => {
+    const chunk = getChunk(chunkKeyOf(cell.x, cell.y, cell.z));
+    const key = cellKey(cell.x, cell.y, cell.z);
+    if (type === 'remove') chunk.cells.delete(key);
+    else chunk.cells.set(key, cell);
+    markDirty(cell);
+  };
+
+  const disposeChunkObjects = (chunk) => {
+    if (chunk.mesh) {
+      scene.remove(chunk.mesh);
+      chunk.mesh.geometry.dispose();
+      meshes.splice(meshes.indexOf(chunk.mesh), 1);
+      chunk.mesh = null;
+    }
+    if (chunk.lines) {
+      scene.remove(chunk.lines);
+      chunk.lines.geometry.dispose();
+      chunk.lines = null;
+    }
+  };
+
+  const buildChunk = (chunk) => {
+    const geometry = buildVoxelGeometry(chunk.cells.values(), grid, voxelSize);
+    if (geometry.index.count === 0) {
+      geometry.dispose();
+      return;
+    }
+    chunk.mesh = new THREE.Mesh(geometry, material);
+    scene.add(chunk.mesh);
+    meshes.push(chunk.mesh);
+
+    chunk.lines = new THREE.LineSegments(buildOutlineGeometry(chunk.cells.values(), grid, voxelSize), lineMaterial);
+    scene.add(chunk.lines);
+  };
+
+  // Rebuild chunks touched since the last call; run once per frame
+  const update = () => {
+    dirtyChunks.forEach((key) => {
+      const chunk = chunks.get(key);
+      if (!chunk) return;
+      disposeChunkObjects(chunk);
+      if (chunk.cells.size === 0) chunks.delete(key);
+      else buildChunk(chunk);
+    });
+    dirtyChunks.clear();
+  };
+
+  // Returns the hovered cell and the normal of the hit face, or null
+  const raycast = (raycaster) => {
+    const hit = raycaster.intersectObjects(meshes, false)[0];
+    if (!hit) return null;
+    const normal = hit.face.normal.clone();
+    // Step half a voxel back through the face to land inside the hit cell
+    const inside = hit.point.clone().addScaledVector(normal, -voxelSize * 0.5);
+    return {
+      cell: {
+        x: Math.round(inside.x / voxelSize),
+        y: Math.round(inside.y / voxelSize),
+        z: Math.round(inside.z / voxelSize)
+      },
+      normal,
+      distance: hit.distance
+    };
+  };
+
+  const dispose = () => {
+    unsubscribe();
+    chunks.forEach(disposeChunkObjects);
+    chunks.clear();
+    dirtyChunks.clear();
+    material.dispose();
+    lineMaterial.dispose();
+  };
+
+  const unsubscribe = grid.subscribe(onGridChange);
+  grid.forEach(cell => onGridChange('add', cell));
+
+  return { update, raycast, dispose };
+}
@@ -0,0 +1,185 @@
+// @vitest-environment jsdom
+// GLTFExporter reads its binary output through FileReader, which only the DOM environment has
+import { Color } from 'three';
+import { describe, expect, it } from 'vitest';
+import { exportGlb, exportObj, exportVox } from '../src/exporters.js';
+import { createVoxelGrid } from '../src/voxelGrid.js';
+
+const RED = 0xff0000;
+const BLUE = 0x0055ff;
+const VOXEL_SIZE = 0.5;
+
+function gridOf(voxels) {
+  const grid = createVoxelGrid();
+  voxels.forEach(({ x, y, z, color }) => grid.set(x, y, z, { color }));
+  return grid;
+}
+
+// Two touching red voxels and a separate blue one: 10 + 6 visible faces
+const VOXELS = [
+  { x: 0, y: 0, z: 0, color: RED },
+  { x: 1, y: 0, z: 0, color: RED },
+  { x: 3, y: 2, z: -1, color: BLUE }
+];
+
+// --- Readers for the exported files ---
+
+const readId = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+// Chunks inside MAIN as { id: DataView of the content }
+function readVoxChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = {};
+  let offset = 20 + view.getInt32(12, true);
+  while (offset < bytes.byteLength) {
+    const contentLength = view.getInt32(offset + 4, true);
+    chunks[readId(bytes, offset)] = new DataView(bytes.buffer, bytes.byteOffset + offset + 12, contentLength);
+    offset += 12 + contentLength + view.getInt32(offset + 8, true);
+  }
+  return chunks;
+}
+
+// Accessor contents as one array per element, e.g. [x, y, z] for a VEC3
+function readGlbAccessor(glb, json, binOffset, index) {
+  const accessor = json.accessors[index];
+  const bufferView = json.bufferViews[accessor.bufferView];
+  const width = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[accessor.type];
+  const Type = { 5121: Uint8Array, 5123: Uint16Array, 5125: Uint32Array, 5126: Float32Array }[accessor.componentType];
+  const start = binOffset + (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+  const stride = bufferView.byteStride || width * Type.BYTES_PER_ELEMENT;
+  return Array.from({ length: accessor.count }, (_, i) => {
+    const offset = start + i * stride;
+    return Array.from(new Type(glb.slice(offset, offset + width * Type.BYTES_PER_ELEMENT)));
+  });
+}
+
+function readGlb(glb) {
+  const view = new DataView(glb);
+  const jsonLength = view.getUint32(12, true);
+  const json = JSON.parse(new TextDecoder().decode(new Uint8Array(glb, 20, jsonLength)));
+  const binOffset = 20 + jsonLength + 8;
+  const primitive = json.meshes[0].primitives[0];
+  return {
+    view,
+    json,
+    jsonLength,
+    positions: readGlbAccessor(glb, json, binOffset, primitive.attributes.POSITION),
+    colors: readGlbAccessor(glb, json, binOffset, primitive.attributes.COLOR_0),
+    indices: readGlbAccessor(glb, json, binOffset, primitive.indices).flat()
+  };
+}
+
+describe('exportVox', () => {
+  const bytes = exportVox(gridOf(VOXELS));
+  const chunks = readVoxChunks(bytes);
+
+  it('writes the header and a SIZE chunk covering the model', () => {
+    const view = new DataView(bytes.buffer);
+    expect(readId(bytes, 0)).toBe('VOX ');
+    expect(view.getInt32(4, true)).toBe(150);
+    expect(readId(bytes, 8)).toBe('MAIN');
+    // x, depth (scene -z), height (scene y)
+    expect([0, 4, 8].map(offset => chunks.SIZE.getInt32(offset, true))).toEqual([4, 2, 3]);
+  });
+
+  it('stores every voxel Z-up from the model corner with its palette color', () => {
+    const count = chunks.XYZI.getInt32(0, true);
+    const stored = Array.from({ length: count }, (_, i) => {
+      const [x, y, z, colorIndex] = [0, 1, 2, 3].map(byte => chunks.XYZI.getUint8(4 + i * 4 + byte));
+      const entry = (colorIndex - 1) * 4;
+      const color = (chunks.RGBA.getUint8(entry) << 16) | (chunks.RGBA.getUint8(entry + 1) << 8) | chunks.RGBA.getUint8(entry + 2);
+      return { x, y, z, color };
+    });
+    // Scene (x, y, z) -> (x - min.x, max.z - z, y - min.y)
+    expect(stored).toEqual([
+      { x: 0, y: 0, z: 0, color: RED },
+      { x: 1, y: 0, z: 0, color: RED },
+      { x: 3, y: 1, z: 2, color: BLUE }
+    ]);
+  });
+
+  it('rejects an empty scene', () => {
+    expect(() => exportVox(createVoxelGrid())).toThrow('Nothing to export');
+  });
+});
+
+describe('exportGlb', () => {
+  it('writes a binary glTF 2.0 container with a JSON and a BIN chunk', async () => {
+    const glb = await exportGlb(gridOf(VOXELS), VOXEL_SIZE);
+    const { view, json, jsonLength } = readGlb(glb);
+    expect(view.getUint32(0, true)).toBe(0x46546c67); // 'glTF'
+    expect(view.getUint32(4, true)).toBe(2);
+    expect(view.getUint32(8, true)).toBe(glb.byteLength);
+    expect(view.getUint32(16, true)).toBe(0x4e4f534a); // 'JSON'
+    expect(view.getUint32(20 + jsonLength + 4, true)).toBe(0x004e4942); // 'BIN'
+    expect(json.asset.version).toBe('2.0');
+    expect(json.nodes[0].name).toBe('Voxels');
+  });
+
+  it('stores the visible faces with their voxel positions and colors', async () => {
+    const { positions, colors, indices } = readGlb(await exportGlb(gridOf(VOXELS), VOXEL_SIZE));
+    expect(positions).toHaveLength(16 * 4);
+    expect(indices).toHaveLength(16 * 6);
+    expect(Math.max(...indices)).toBe(positions.length - 1);
+
+    // Cell corners at (cell -+ 0.5) * voxel size
+    const axis = (i) => positions.map(p => p[i]);
+    expect([Math.min(...axis(0)), Math.max(...axis(0))]).toEqual([-0.25, 1.75]);
+    expect([Math.min(...axis(1)), Math.max(...axis(1))]).toEqual([-0.25, 1.25]);
+    expect([Math.min(...axis(2)), Math.max(...axis(2))]).toEqual([-0.75, 0.25]);
+
+    // The blue voxel is the only one right of x = 1
+    const red = new Color(RED);
+    const blue = new Color(BLUE);
+    positions.forEach(([x], i) => {
+      const expected = x > 1 ? blue : red;
+      colors[i].slice(0, 3).forEach((channel, c) => expect(channel).toBeCloseTo(expected.toArray()[c], 5));
+    });
+    expect(positions.filter(([x]) => x > 1)).toHaveLength(6 * 4);
+  });
+});
+
+describe('exportObj', () => {
+  const { obj, mtl } = exportObj(gridOf(VOXELS), VOXEL_SIZE, 'model.mtl');
+  const lines = (text, prefix) => text.split('\n').filter(line => line.startsWith(prefix));
+
+  it('writes four vertices and one face per visible voxel face', () => {
+    expect(lines(obj, 'v ')).toHaveLength(16 * 4);
+    expect(lines(obj, 'f ')).toHaveLength(16);
+    expect(lines(obj, 'vn ')).toHaveLength(6);
+  });
+
+  it('only references vertices and normals that exist', () => {
+    const references = lines(obj, 'f ').flatMap(line => line.slice(2).split(' ').map(ref => ref.split('//').map(Number)));
+    references.forEach(([vertex, normal]) => {
+      expect(vertex).toBeGreaterThanOrEqual(1);
+      expect(vertex).toBeLessThanOrEqual(16 * 4);
+      expect(normal).toBeGreaterThanOrEqual(1);
+      expect(normal).toBeLessThanOrEqual(6);
+    });
+  });
+
+  it('gives the faces of each voxel its color material', () => {
+    const vertices = lines(obj, 'v ').map(line => line.slice(2).split(' ').map(Number));
+    let material = null;
+    const faceMaterials = { color_ff0000: 0, color_0055ff: 0 };
+    obj.split('\n').forEach((line) => {
+      if (line.startsWith('usemtl ')) material = line.slice('usemtl '.length);
+      if (!line.startsWith('f ')) return;
+      faceMaterials[material]++;
+      const xs = line.slice(2).split(' ').map(ref => vertices[Number(ref.split('//')[0]) - 1][0]);
+      xs.forEach(x => expect(x > 1).toBe(material === 'color_0055ff'));
+    });
+    expect(faceMaterials).toEqual({ color_ff0000: 10, color_0055ff: 6 });
+  });
+
+  it('uses one material per color, each defined in the MTL', () => {
+    expect(obj.startsWith('mtllib model.mtl\n')).toBe(true);
+    const used = lines(obj, 'usemtl ').map(line => line.slice('usemtl '.length));
+    const defined = lines(mtl, 'newmtl ').map(line => line.slice('newmtl '.length));
+    expect(used).toHaveLength(2);
+    expect(used.sort()).toEqual(defined.sort());
+    expect(mtl).toContain('newmtl color_ff0000\nKd 1.0000 0.0000 0.0000');
+    expect(mtl).toContain('newmtl color_0055ff\nKd 0.0000 0.3333 1.0000');
+  });
+});
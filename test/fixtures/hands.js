@@ -0,0 +1,43 @@
+// Synthetic HandLandmarker hands: 21 landmarks in the MediaPipe order, with every finger
+// bent by a chosen angle at each of its three joints, so the expected bend is 3 * angle.
+
+export const STRAIGHT = 0;
+export const CURLED = Math.PI / 2;
+
+const FINGER_LAYOUT = {
+  thumb: { base: 1, spread: -0.8 },
+  index: { base: 5, spread: -0.25 },
+  middle: { base: 9, spread: 0 },
+  ring: { base: 13, spread: 0.25 },
+  pinky: { base: 17, spread: 0.5 }
+};
+const SEGMENT_LENGTH = 0.04;
+
+// bends: finger -> angle per joint in radians (unlisted fingers stay straight)
+export function makeHand(bends = {}) {
+  const landmarks = new Array(21);
+  const wrist = { x: 0.5, y: 0.8, z: 0 };
+  landmarks[0] = wrist;
+
+  Object.entries(FINGER_LAYOUT).forEach(([finger, { base, spread }]) => {
+    const angle = bends[finger] ?? STRAIGHT;
+    // The finger points away from the wrist in the image plane and curls towards the camera
+    const dx = Math.sin(spread), dy = -Math.cos(spread);
+    let point = { x: wrist.x + dx * SEGMENT_LENGTH * 2, y: wrist.y + dy * SEGMENT_LENGTH * 2, z: 0 };
+    landmarks[base] = point;
+    for (let joint = 1; joint <= 3; joint++) {
+      const along = Math.cos(angle * joint) * SEGMENT_LENGTH;
+      const towards = Math.sin(angle * joint) * SEGMENT_LENGTH;
+      point = { x: point.x + dx * along, y: point.y + dy * along, z: point.z - towards };
+      landmarks[base + joint] = point;
+    }
+  });
+  return landmarks;
+}
+
+export const HANDS = {
+  openPalm: makeHand(),
+  fist: makeHand({ thumb: CURLED, index: CURLED, middle: CURLED, ring: CURLED, pinky: CURLED }),
+  pointing: makeHand({ thumb: CURLED, middle: CURLED, ring: CURLED, pinky: CURLED }),
+  victory: makeHand({ thumb: CURLED, ring: CURLED, pinky: CURLED })
+};
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { BEND_RANGE, POSE_DEFINITIONS, computeFingerStates, createPoseTracker, scorePose } from '../src/gestures.js';
+import { CURLED, HANDS, makeHand } from './fixtures/hands.js';
+
+// A fist whose index finger is only partly curled, so the fist scores exactly confidence
+function fistAt(confidence) {
+  const { straight, curled } = BEND_RANGE.index;
+  const indexBend = straight + confidence * (curled - straight);
+  return makeHand({ thumb: CURLED, index: indexBend / 3, middle: CURLED, ring: CURLED, pinky: CURLED });
+}
+
+describe('computeFingerStates', () => {
+  it('reads a straight finger as fully extended', () => {
+    const states = computeFingerStates(HANDS.openPalm);
+    Object.values(states).forEach(({ bend, extension }) => {
+      expect(bend).toBeCloseTo(0);
+      expect(extension).toBe(1);
+    });
+  });
+
+  it('reads a curled finger as not extended', () => {
+    const states = computeFingerStates(HANDS.fist);
+    Object.values(states).forEach(({ bend, extension }) => {
+      expect(bend).toBeCloseTo(3 * CURLED);
+      expect(extension).toBe(0);
+    });
+  });
+
+  it('sums the joint angles and maps them linearly between straight and curled', () => {
+    const states = computeFingerStates(makeHand({ index: 0.5 }));
+    expect(states.index.bend).toBeCloseTo(1.5);
+    expect(states.index.extension).toBeCloseTo(1 - (1.5 - 0.4) / 2.4);
+    expect(states.middle.extension).toBe(1);
+  });
+
+  it('does not depend on hand size or position', () => {
+    const hand = HANDS.pointing.map(({ x, y, z }) => ({ x: x * 0.5 + 0.2, y: y * 0.5, z: z * 0.5 }));
+    expect(computeFingerStates(hand).index.extension).toBe(1);
+    expect(computeFingerStates(hand).middle.extension).toBe(0);
+  });
+});
+
+describe('scorePose', () => {
+  it('matches each fixture hand to its own pose', () => {
+    expect(scorePose(computeFingerStates(HANDS.openPalm), POSE_DEFINITIONS.openPalm)).toBe(1);
+    expect(scorePose(computeFingerStates(HANDS.fist), POSE_DEFINITIONS.fist)).toBe(1);
+    expect(scorePose(computeFingerStates(HANDS.pointing), POSE_DEFINITIONS.pointing)).toBe(1);
+    expect(scorePose(computeFingerStates(HANDS.victory), POSE_DEFINITIONS.victory)).toBe(1);
+  });
+
+  it('rejects poses that need a finger in the opposite state', () => {
+    expect(scorePose(computeFingerStates(HANDS.openPalm), POSE_DEFINITIONS.fist)).toBe(0);
+    expect(scorePose(computeFingerStates(HANDS.fist), POSE_DEFINITIONS.openPalm)).toBe(0);
+    expect(scorePose(computeFingerStates(HANDS.pointing), POSE_DEFINITIONS.fist)).toBe(0);
+    expect(scorePose(computeFingerStates(HANDS.victory), POSE_DEFINITIONS.pointing)).toBe(0);
+  });
+
+  it('lets the weakest finger decide', () => {
+    expect(scorePose(computeFingerStates(fistAt(0.6)), POSE_DEFINITIONS.fist)).toBeCloseTo(0.6);
+  });
+
+  it('ignores fingers the pose does not constrain', () => {
+    // A fist with the thumb sticking out still counts, the fist pose leaves the thumb free
+    const hand = makeHand({ index: CURLED, middle: CURLED, ring: CURLED, pinky: CURLED });
+    expect(scorePose(computeFingerStates(hand), POSE_DEFINITIONS.fist)).toBe(1);
+  });
+});
+
+describe('createPoseTracker', () => {
+  const track = (tracker, hands) => hands.map(hand => tracker.update(hand).active.fist);
+
+  it('enters a pose only at the enter threshold', () => {
+    const tracker = createPoseTracker({ poses: { fist: POSE_DEFINITIONS.fist } });
+    expect(track(tracker, [fistAt(0.6), fistAt(0.69), fistAt(0.75)])).toEqual([false, false, true]);
+  });
+
+  it('stays in a pose between the thresholds and exits below the exit threshold', () => {
+    const tracker = createPoseTracker({ poses: { fist: POSE_DEFINITIONS.fist } });
+    expect(track(tracker, [fistAt(0.9), fistAt(0.6), fistAt(0.51), fistAt(0.45), fistAt(0.6)]))
+      .toEqual([true, true, true, false, false]);
+  });
+
+  it('uses custom thresholds', () => {
+    const tracker = createPoseTracker({ poses: { fist: POSE_DEFINITIONS.fist }, enterThreshold: 0.9, exitThreshold: 0.2 });
+    expect(track(tracker, [fistAt(0.8), fistAt(0.95), fistAt(0.3), fistAt(0.1)])).toEqual([false, true, true, false]);
+  });
+
+  it('forgets active poses on reset', () => {
+    const tracker = createPoseTracker({ poses: { fist: POSE_DEFINITIONS.fist } });
+    tracker.update(fistAt(0.9));
+    tracker.reset();
+    expect(tracker.update(fistAt(0.6)).active.fist).toBe(false);
+  });
+
+  it('reports confidence and finger states with every update', () => {
+    const { fingers, confidence, active } = createPoseTracker().update(HANDS.pointing);
+    expect(fingers.index.extension).toBe(1);
+    expect(confidence.pointing).toBe(1);
+    expect(active).toMatchObject({ pointing: true, fist: false, openPalm: false });
+  });
+});
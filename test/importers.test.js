@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { exportVox } from '../src/exporters.js';
+import { ImportError, parseVox } from '../src/importers.js';
+import { createVoxelGrid } from '../src/voxelGrid.js';
+
+const RED = 0xff0000;
+const BLUE = 0x0055ff;
+
+function gridOf(voxels) {
+  const grid = createVoxelGrid();
+  voxels.forEach(({ x, y, z, color }) => grid.set(x, y, z, { color }));
+  return grid;
+}
+
+// parseVox negates the .vox depth axis, so + 0 turns its -0 back into 0
+const sortCells = (voxels) => voxels
+  .map(({ x, y, z, color }) => ({ x, y, z: z + 0, color }))
+  .sort((a, b) => a.x - b.x || a.y - b.y || a.z - b.z);
+
+const VOXELS = [
+  { x: 0, y: 0, z: 0, color: RED },
+  { x: 1, y: 0, z: 0, color: RED },
+  { x: 3, y: 2, z: -1, color: BLUE }
+];
+
+describe('parseVox', () => {
+  it('round-trips cells and colors written by exportVox', () => {
+    const voxels = parseVox(exportVox(gridOf(VOXELS)).buffer);
+    expect(sortCells(voxels)).toEqual(sortCells(VOXELS));
+  });
+
+  it('reads an exported model back relative to its corner', () => {
+    const offset = { x: 10, y: 5, z: -7 };
+    const moved = VOXELS.map(v => ({ ...v, x: v.x + offset.x, y: v.y + offset.y, z: v.z + offset.z }));
+    const voxels = parseVox(exportVox(gridOf(moved)).buffer);
+    expect(sortCells(voxels)).toEqual(sortCells(VOXELS));
+  });
+
+  it('gives voxels with color index 0 the fallback color', () => {
+    const bytes = exportVox(gridOf(VOXELS.slice(0, 1)));
+    const xyzi = bytes.findIndex((_, i) => String.fromCharCode(...bytes.subarray(i, i + 4)) === 'XYZI');
+    bytes[xyzi + 12 + 4 + 3] = 0; // Color index of the first voxel
+    const [voxel] = parseVox(bytes.buffer, { fallbackColor: BLUE });
+    expect(voxel.color).toBe(BLUE);
+  });
+
+  it('rejects files that are not .vox models', () => {
+    expect(() => parseVox(new TextEncoder().encode('not a voxel model at all').buffer)).toThrow(ImportError);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { createLandmarkSmoother, createResultInterpolator } from '../src/landmarkFilter.js';
+import { HANDS } from './fixtures/hands.js';
+
+const detection = (...hands) => ({
+  landmarks: hands.map(({ landmarks }) => landmarks),
+  handedness: hands.map(({ label }) => [{ categoryName: label }])
+});
+const NONE = detection();
+const RIGHT = detection({ landmarks: HANDS.openPalm, label: 'Right' });
+
+describe('createLandmarkSmoother', () => {
+  it('holds a lost hand for maxDropoutFrames results, then drops it', () => {
+    const smoother = createLandmarkSmoother({ maxDropoutFrames: 2 });
+    const counts = [RIGHT, NONE, NONE, NONE].map((results, i) => smoother.process(results, i * 33).landmarks.length);
+    expect(counts).toEqual([1, 1, 1, 0]);
+  });
+
+  it('counts dropouts per detection even when rendering runs faster', () => {
+    // Detections every 100 ms, smoothed once each and sampled on every render frame like the builder does
+    const smoother = createLandmarkSmoother({ maxDropoutFrames: 2 });
+    const interpolator = createResultInterpolator();
+    const shown = [RIGHT, NONE, NONE, NONE].map((results, i) => {
+      const time = i * 100;
+      interpolator.push(smoother.process(results, time), time);
+      const counts = [];
+      for (let now = time; now < time + 100; now += 16) {
+        const sampled = interpolator.sample(now);
+        if (sampled) counts.push(sampled.landmarks.length);
+      }
+      return counts;
+    });
+    expect(shown.map(counts => counts.every(count => count === 1))).toEqual([true, true, true, false]);
+    expect(shown[3].at(-1)).toBe(0);
+  });
+
+  it('passes the first detection through unchanged', () => {
+    const smoothed = createLandmarkSmoother().process(RIGHT, 0);
+    expect(smoothed.landmarks[0]).toEqual(HANDS.openPalm);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { shapeCells } from '../src/shapes.js';
+
+const layers = (cells) => {
+  const counts = new Map();
+  cells.forEach(({ y }) => counts.set(y, (counts.get(y) || 0) + 1));
+  return [...counts.entries()].sort(([a], [b]) => a - b).map(([, count]) => count);
+};
+
+describe('pyramid', () => {
+  it('narrows from the base to a one-cell apex on the top layer', () => {
+    expect(layers(shapeCells('pyramid', { x: 0, y: 0, z: 0 }, { x: 4, y: 2, z: 4 }))).toEqual([25, 9, 1]);
+  });
+
+  it('rises as a column from a 1-wide base', () => {
+    const cells = shapeCells('pyramid', { x: 3, y: 0, z: 3 }, { x: 3, y: 4, z: 3 });
+    expect(cells).toEqual([0, 1, 2, 3, 4].map(y => ({ x: 3, y, z: 3 })));
+  });
+
+  it('rises as a 2x2 column from a 2-wide base', () => {
+    expect(layers(shapeCells('pyramid', { x: 0, y: 0, z: 0 }, { x: 1, y: 3, z: 1 }))).toEqual([4, 4, 4, 4]);
+  });
+
+  it('becomes a gable wall over a base one cell deep', () => {
+    expect(layers(shapeCells('pyramid', { x: 0, y: 0, z: 0 }, { x: 4, y: 2, z: 0 }))).toEqual([5, 3, 1]);
+  });
+
+  it('keeps the apex on the top layer of a tall region', () => {
+    expect(layers(shapeCells('pyramid', { x: 0, y: 0, z: 0 }, { x: 2, y: 5, z: 2 })).length).toBe(6);
+  });
+
+  it('stays a column when hollow', () => {
+    expect(shapeCells('pyramid', { x: 0, y: 0, z: 0 }, { x: 0, y: 2, z: 0 }, { hollow: true })).toHaveLength(3);
+  });
+});